@@ -25,6 +25,223 @@ import HookException from './errors/HookException.js';
 import RenderException from './errors/RenderException.js';
 import ValidationException from './errors/ValidationException.js';
 
+/**
+ * Priority levels for updates, from most to least urgent.
+ * Urgent updates come from discrete user input (typing, clicking), transitions from startTransition.
+ * 
+ * @enum {number}
+ * @private
+ */
+const UpdatePriority = Object.freeze({ Urgent: 0, Default: 1, Transition: 2 });
+/**
+ * XML namespaces of the element and attribute types the renderer creates.
+ * 
+ * @enum {string}
+ * @private
+ */
+const Namespace = Object.freeze({
+    HTML: 'http://www.w3.org/1999/xhtml',
+    SVG: 'http://www.w3.org/2000/svg',
+    MathML: 'http://www.w3.org/1998/Math/MathML',
+    XLink: 'http://www.w3.org/1999/xlink',
+    XML: 'http://www.w3.org/XML/1998/namespace',
+    XMLNS: 'http://www.w3.org/2000/xmlns/'
+});
+/**
+ * Namespaces of the attribute prefixes that need setAttributeNS.
+ * 
+ * @type {Object<string, string>}
+ * @private
+ */
+const AttributeNamespaces = Object.freeze({ xlink: Namespace.XLink, xml: Namespace.XML, xmlns: Namespace.XMLNS });
+/**
+ * Props consumed by the renderer itself, never written to the DOM.
+ * 
+ * @type {Set<string>}
+ * @private
+ */
+const ReservedProps = new Set(['children', 'key', 'ref', 'dangerouslySetInnerHTML']);
+/**
+ * HTML elements that have no content and no closing tag.
+ * 
+ * @type {Set<string>}
+ * @private
+ */
+const VoidElements = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+/**
+ * HTML elements whose content is raw text, written without escaping.
+ * 
+ * @type {Set<string>}
+ * @private
+ */
+const RawTextElements = new Set(['script', 'style']);
+/**
+ * Attribute names that can be serialized safely.
+ * 
+ * @type {RegExp}
+ * @private
+ */
+const ValidAttributeName = /^[a-zA-Z_:][a-zA-Z0-9_.:-]*$/;
+/**
+ * Style properties whose numeric values have no unit.
+ * 
+ * @type {Set<string>}
+ * @private
+ */
+const UnitlessStyleProperties = new Set([
+    'animationIterationCount', 'aspectRatio', 'borderImageOutset', 'borderImageSlice', 'borderImageWidth',
+    'boxFlex', 'boxFlexGroup', 'boxOrdinalGroup', 'columnCount', 'columns', 'flex', 'flexGrow', 'flexPositive',
+    'flexShrink', 'flexNegative', 'flexOrder', 'gridArea', 'gridRow', 'gridRowEnd', 'gridRowSpan', 'gridRowStart',
+    'gridColumn', 'gridColumnEnd', 'gridColumnSpan', 'gridColumnStart', 'fontWeight', 'lineClamp', 'lineHeight',
+    'opacity', 'order', 'orphans', 'scale', 'tabSize', 'widows', 'zIndex', 'zoom', 'fillOpacity', 'floodOpacity',
+    'stopOpacity', 'strokeDasharray', 'strokeDashoffset', 'strokeMiterlimit', 'strokeOpacity', 'strokeWidth'
+]);
+/**
+ * How the value of a known prop is written to the DOM.
+ * 
+ * @enum {string}
+ * @private
+ */
+const PropertyType = Object.freeze({
+    String: 'string',
+    Boolean: 'boolean',
+    BooleanishString: 'booleanish',
+    OverloadedBoolean: 'overloaded',
+    Property: 'property'
+});
+/**
+ * Property-info table: for every known prop, the attribute it maps to and how its value is written.
+ * Props of type Property are set as DOM properties so they reflect live state; the rest are attributes.
+ * SVG presentation props are written in camelCase and map to their hyphenated attributes
+ * (strokeWidth to stroke-width). Props not in the table are written as attributes under their own name.
+ * 
+ * @type {Object<string, {attributeName: string, propertyName: string, type: string}>}
+ * @private
+ */
+const PropertyInfos = (() => {
+    const infos = {};
+    const add = (type, names) => names.forEach(name => {
+        const [propName, attributeName] = Array.isArray(name) ? name : [name, name.toLowerCase()];
+        infos[propName] = { attributeName, propertyName: propName, type };
+    });
+    add(PropertyType.String, [
+        ['className', 'class'], ['htmlFor', 'for'], ['httpEquiv', 'http-equiv'], ['acceptCharset', 'accept-charset'],
+        'tabIndex', 'maxLength', 'minLength', 'colSpan', 'rowSpan', 'crossOrigin', 'encType', 'formAction',
+        'formEncType', 'formMethod', 'formTarget', 'autoComplete', 'autoCapitalize', 'srcSet', 'srcDoc', 'srcLang',
+        'useMap', 'dateTime', 'cellPadding', 'cellSpacing', 'frameBorder', 'inputMode', 'enterKeyHint',
+        'marginHeight', 'marginWidth', 'referrerPolicy', 'accessKey', 'contextMenu', 'hrefLang', 'radioGroup',
+        'itemProp', 'itemType', 'itemRef', 'itemID', 'fetchPriority', 'charSet'
+    ]);
+    add(PropertyType.String, [
+        'accentHeight', 'alignmentBaseline', 'arabicForm', 'baselineShift', 'capHeight', 'clipPath', 'clipRule',
+        'colorInterpolation', 'colorInterpolationFilters', 'colorProfile', 'colorRendering', 'dominantBaseline',
+        'enableBackground', 'fillOpacity', 'fillRule', 'floodColor', 'floodOpacity', 'fontFamily', 'fontSize',
+        'fontSizeAdjust', 'fontStretch', 'fontStyle', 'fontVariant', 'fontWeight', 'glyphName',
+        'glyphOrientationHorizontal', 'glyphOrientationVertical', 'horizAdvX', 'horizOriginX', 'imageRendering',
+        'letterSpacing', 'lightingColor', 'markerEnd', 'markerMid', 'markerStart', 'overlinePosition',
+        'overlineThickness', 'paintOrder', 'panose1', 'pointerEvents', 'renderingIntent', 'shapeRendering',
+        'stopColor', 'stopOpacity', 'strikethroughPosition', 'strikethroughThickness', 'strokeDasharray',
+        'strokeDashoffset', 'strokeLinecap', 'strokeLinejoin', 'strokeMiterlimit', 'strokeOpacity', 'strokeWidth',
+        'textAnchor', 'textDecoration', 'textRendering', 'transformOrigin', 'underlinePosition',
+        'underlineThickness', 'unicodeBidi', 'unicodeRange', 'unitsPerEm', 'vAlphabetic', 'vHanging',
+        'vIdeographic', 'vMathematical', 'vectorEffect', 'vertAdvY', 'vertOriginX', 'vertOriginY', 'wordSpacing',
+        'writingMode', 'xHeight'
+    ].map(name => [name, name.replace(/[A-Z]|\d+/g, part => `-${part.toLowerCase()}`)]));
+    add(PropertyType.Boolean, [
+        'allowFullScreen', 'async', 'autoFocus', 'autoPlay', 'controls', 'default', 'defer', 'disabled',
+        'disablePictureInPicture', 'disableRemotePlayback', 'formNoValidate', 'hidden', 'inert', 'loop',
+        'noModule', 'noValidate', 'open', 'playsInline', 'readOnly', 'required', 'reversed', 'scoped',
+        'seamless', 'itemScope'
+    ]);
+    add(PropertyType.BooleanishString, [['contentEditable', 'contenteditable'], 'draggable', ['spellCheck', 'spellcheck']]);
+    add(PropertyType.OverloadedBoolean, ['capture', 'download']);
+    add(PropertyType.Property, [
+        'checked', 'multiple', 'muted', 'selected', 'indeterminate', 'value', 'defaultValue', 'defaultChecked'
+    ]);
+    return Object.freeze(infos);
+})();
+/**
+ * Event registry: for every event prop name (without its "on" prefix), the synthetic event type
+ * it handles, whether that event bubbles through the tree, and the native events it is built from.
+ * onFocus and onBlur bubble, as in React, and are built from focusin and focusout; the enter and
+ * leave events are emulated from the over and out events, since their native counterparts are
+ * dispatched to every element separately.
+ * 
+ * @type {Object<string, {type: string, bubbles: boolean, dependencies: Array<string>}>}
+ * @private
+ */
+const EventRegistry = (() => {
+    const registry = {};
+    const add = (bubbles, names) => names.forEach(name => {
+        const [eventName, type, dependencies] = Array.isArray(name) ? name : [name, name.toLowerCase()];
+        registry[eventName] = { type, bubbles, dependencies: dependencies || [type] };
+    });
+    add(true, [
+        'Click', 'AuxClick', 'ContextMenu', ['DoubleClick', 'dblclick'], 'MouseDown', 'MouseUp', 'MouseMove',
+        'MouseOver', 'MouseOut', 'PointerDown', 'PointerUp', 'PointerMove', 'PointerOver', 'PointerOut',
+        'PointerCancel', 'GotPointerCapture', 'LostPointerCapture', 'TouchStart', 'TouchMove', 'TouchEnd',
+        'TouchCancel', 'Drag', 'DragStart', 'DragEnd', 'DragEnter', 'DragLeave', 'DragOver', 'Drop', 'KeyDown',
+        'KeyUp', 'KeyPress', ['Focus', 'focus', ['focusin']], ['Blur', 'blur', ['focusout']], 'Change', 'Input',
+        'BeforeInput', 'Submit', 'Reset', 'Select', 'Copy', 'Cut', 'Paste', 'CompositionStart',
+        'CompositionUpdate', 'CompositionEnd', 'Wheel', 'AnimationStart', 'AnimationEnd', 'AnimationIteration',
+        'TransitionRun', 'TransitionStart', 'TransitionEnd', 'TransitionCancel'
+    ]);
+    add(false, [
+        ['MouseEnter', 'mouseenter', ['mouseout', 'mouseover']], ['MouseLeave', 'mouseleave', ['mouseout', 'mouseover']],
+        ['PointerEnter', 'pointerenter', ['pointerout', 'pointerover']],
+        ['PointerLeave', 'pointerleave', ['pointerout', 'pointerover']],
+        'Scroll', 'ScrollEnd', 'Load', 'Error', 'Invalid', 'Toggle', 'Cancel', 'Close', 'Abort', 'CanPlay',
+        'CanPlayThrough', 'DurationChange', 'Emptied', 'Encrypted', 'Ended', 'LoadedData', 'LoadedMetadata',
+        'LoadStart', 'Pause', 'Play', 'Playing', 'Progress', 'RateChange', 'Seeked', 'Seeking', 'Stalled',
+        'Suspend', 'TimeUpdate', 'VolumeChange', 'Waiting'
+    ]);
+    return Object.freeze(registry);
+})();
+/**
+ * Native events fired continuously while the user moves or scrolls. Their updates get the default
+ * priority so they can be batched; every other event is discrete and its updates are urgent.
+ * 
+ * @type {Set<string>}
+ * @private
+ */
+const ContinuousEvents = new Set([
+    'mousemove', 'mouseover', 'mouseout', 'pointermove', 'pointerover', 'pointerout', 'touchmove',
+    'drag', 'dragenter', 'dragleave', 'dragover', 'scroll', 'wheel'
+]);
+/**
+ * Legacy key names reported by older browsers, mapped to their standard names.
+ * 
+ * @type {Object<string, string>}
+ * @private
+ */
+const NormalizedKeys = Object.freeze({
+    Esc: 'Escape', Spacebar: ' ', Left: 'ArrowLeft', Up: 'ArrowUp', Right: 'ArrowRight', Down: 'ArrowDown',
+    Del: 'Delete', Win: 'OS', Menu: 'ContextMenu', Apps: 'ContextMenu', Scroll: 'ScrollLock',
+    MozPrintableKey: 'Unidentified'
+});
+/**
+ * Key names for the key codes of keydown and keyup events, for browsers that do not report the key.
+ * 
+ * @type {Object<number, string>}
+ * @private
+ */
+const KeyCodeNames = Object.freeze({
+    8: 'Backspace', 9: 'Tab', 12: 'Clear', 13: 'Enter', 16: 'Shift', 17: 'Control', 18: 'Alt', 19: 'Pause',
+    20: 'CapsLock', 27: 'Escape', 32: ' ', 33: 'PageUp', 34: 'PageDown', 35: 'End', 36: 'Home', 37: 'ArrowLeft',
+    38: 'ArrowUp', 39: 'ArrowRight', 40: 'ArrowDown', 45: 'Insert', 46: 'Delete', 112: 'F1', 113: 'F2', 114: 'F3',
+    115: 'F4', 116: 'F5', 117: 'F6', 118: 'F7', 119: 'F8', 120: 'F9', 121: 'F10', 122: 'F11', 123: 'F12',
+    144: 'NumLock', 145: 'ScrollLock', 224: 'Meta'
+});
+/**
+ * Event properties holding the state of the modifier keys, for browsers without getModifierState.
+ * 
+ * @type {Object<string, string>}
+ * @private
+ */
+const ModifierKeyProperties = Object.freeze({ Alt: 'altKey', Control: 'ctrlKey', Meta: 'metaKey', Shift: 'shiftKey' });
+
 /**
  * Base Component class for creating class components.
  * Similar to React.Component, provides state management, lifecycle methods, and rendering.
@@ -40,11 +257,13 @@ export class Component {
     constructor(props) {
         this.props = props || {};
         this.state = {};
-        this._pendingState = null;
+        this._pendingUpdates = [];
+        this._baseState = undefined;
         this._isMounted = false;
         this._currentDOMNode = null;
         this._renderInProgress = false;
         this._pendingCallbacks = [];
+        this._dirty = false;
         this.isComponent = {};
         this._hasError = false;
         this._errorInfo = null;
@@ -56,12 +275,9 @@ export class Component {
      * @param {Function} [callback] - Function to call after state is updated and component is re-rendered
      */
     setState(partialState, callback) {
-        if (typeof callback === 'function') this._pendingCallbacks.push(callback);
-        this._pendingState = {
-            ...this._pendingState,
-            ...(typeof partialState === 'function' ? partialState(this.state, this.props) : partialState)
-        };
-        if (this._isMounted && !this._renderInProgress) ReconciliationManager.scheduleUpdate(this);
+        const priority = ReconciliationManager.getCurrentPriority();
+        this._pendingUpdates.push({ partialState, callback, priority });
+        if (this._isMounted && !this._renderInProgress) ReconciliationManager.scheduleUpdate(this, priority);
     }
     /**
      * Determines if the component should update when receiving new props or state.
@@ -80,8 +296,9 @@ export class Component {
      * 
      * @param {Object} prevProps - The previous props
      * @param {Object} prevState - The previous state
+     * @param {*} [snapshot] - The value returned by getSnapshotBeforeUpdate, if defined
      */
-    componentDidUpdate(prevProps, prevState) { }
+    componentDidUpdate(prevProps, prevState, snapshot) { }
     /**
      * Lifecycle method that is called after a component is mounted to the DOM.
      * Good place to initialize third-party libraries or request data.
@@ -93,32 +310,59 @@ export class Component {
      */
     componentWillUnmount() { }
     /**
-     * Internal method to apply pending state changes and trigger lifecycle methods.
+     * Internal method to apply pending state changes during the render phase.
+     * Only updates whose priority is included in the render are applied; skipped updates, and every
+     * update queued after them, are kept and rebased on top of the resulting state later.
+     * The result of static getDerivedStateFromProps is merged on top.
+     * shouldComponentUpdate, componentDidUpdate and setState callbacks are run by the reconciler.
      * 
-     * @returns {boolean} True if the state was updated and component should re-render
+     * @param {number} [priority] - Priority of the render
+     * @returns {boolean} True if the state was updated
      * @private
      */
-    _commitState() {
-        if (this._pendingState) {
-            const prevState = { ...this.state };
-            const nextState = { ...this.state, ...this._pendingState };
-            if (this._isMounted &&
-                typeof this.shouldComponentUpdate === 'function' &&
-                this.shouldComponentUpdate !== Component.prototype.shouldComponentUpdate) {
-                if (!this.shouldComponentUpdate(this.props, nextState)) {
-                    this._pendingState = null;
-                    while (this._pendingCallbacks.length > 0) this._pendingCallbacks.shift()();
-                    return false;
-                }
+    _commitState(priority = UpdatePriority.Transition) {
+        const getDerivedStateFromProps = this.constructor.getDerivedStateFromProps;
+        if (this._pendingUpdates.length === 0 && typeof getDerivedStateFromProps !== 'function') return false;
+        const processed = this._pendingUpdates.length;
+        const remaining = [];
+        const callbacks = [];
+        let nextState = this._baseState !== undefined ? this._baseState : this.state;
+        let newBaseState = nextState;
+        for (const update of this._pendingUpdates) {
+            if (update.priority > priority) {
+                if (remaining.length === 0) newBaseState = nextState;
+                remaining.push(update);
+                this._skippedPriority = Math.min(this._skippedPriority ?? update.priority, update.priority);
+                continue;
             }
-            this.state = nextState;
-            this._pendingState = null;
-            if (this._isMounted && typeof this.componentDidUpdate === 'function')
-                this.componentDidUpdate(this.props, prevState);
-            while (this._pendingCallbacks.length > 0) this._pendingCallbacks.shift()();
-            return true;
+            if (remaining.length > 0) remaining.push({ ...update, callback: null, priority: UpdatePriority.Urgent });
+            nextState = {
+                ...nextState,
+                ...(typeof update.partialState === 'function' ? update.partialState(nextState, this.props) : update.partialState)
+            };
+            if (typeof update.callback === 'function') callbacks.push(update.callback);
         }
-        return false;
+        if (typeof getDerivedStateFromProps === 'function') {
+            const derivedState = getDerivedStateFromProps(this.props, nextState);
+            if (derivedState != null) nextState = { ...nextState, ...derivedState };
+        }
+        const commitQueue = () => {
+            this._baseState = remaining.length > 0 ? newBaseState : undefined;
+            this._pendingUpdates = remaining.concat(this._pendingUpdates.slice(processed));
+            this._pendingCallbacks.push(...callbacks);
+        };
+        const prevState = this.state;
+        this.state = nextState;
+        ReconciliationManager.onCommit(commitQueue, () => { this.state = prevState; });
+        return true;
+    }
+    /**
+     * Internal method to run the callbacks passed to setState/forceUpdate after a commit.
+     *
+     * @private
+     */
+    _flushCallbacks() {
+        while (this._pendingCallbacks.length > 0) this._pendingCallbacks.shift()();
     }
     /**
      * The render method that each component must implement.
@@ -135,6 +379,7 @@ export class Component {
      */
     forceUpdate(callback) {
         if (typeof callback === 'function') this._pendingCallbacks.push(callback);
+        this._forcedUpdate = true;
         if (this._isMounted && !this._renderInProgress) ReconciliationManager.scheduleUpdate(this);
     }
     /**
@@ -189,6 +434,15 @@ export class ErrorBoundary extends Component {
         super(props);
         this.state = { hasError: false, error: null };
     }
+    /**
+     * Switches to the fallback UI when a child throws.
+     * 
+     * @param {Error} error - The error that was thrown
+     * @returns {Object} The error state
+     */
+    static getDerivedStateFromError(error) {
+        return { hasError: true, error };
+    }
     /**
      * Catches errors in children and updates state to trigger rendering of fallback UI.
      * 
@@ -277,296 +531,81 @@ class VirtualElement {
         return typeof child === 'object' ? child : new TextElement(String(child));
     }
     /**
-     * Renders the virtual element to a real DOM node.
-     * 
-     * @param {Component} [parentComponent] - Parent component for context
-     * @returns {Node} The rendered DOM node
-     */
-    render(parentComponent = null) {
-        try {
-            if (this.type === Symbol.for('littedom.fragment')) return this.renderFragment(parentComponent);
-            else if (this.type === Symbol.for('littedom.portal')) return this.renderPortal(parentComponent);
-            else if (typeof this.type === 'function') return this.renderComponent(parentComponent);
-            else return this.renderDOMElement(parentComponent);
-        } catch (error) {
-            let boundary = parentComponent;
-            let errorInfo = {
-                componentName: this.type?.name || (typeof this.type === 'string' ? this.type : 'Unknown')
-            };
-            while (boundary) {
-                if (boundary.isErrorBoundary && boundary.isErrorBoundary()) {
-                    boundary._hasError = error;
-                    boundary._errorInfo = errorInfo;
-                    if (boundary.componentDidCatch(error, errorInfo))
-                        return boundary.renderError().render(boundary);
-                }
-                boundary = boundary._parentComponent;
-            }
-            ErrorSystem.handleError(new RenderException(`Error rendering ${errorInfo.componentName}: ${error.message}`, {
-                context: { component: errorInfo.componentName, error, props: this.props }
-            }));
-            const errorNode = document.createElement('div');
-            errorNode.setAttribute('data-error', 'true');
-            errorNode.style.color = 'red';
-            errorNode.style.padding = '10px';
-            errorNode.style.border = '1px solid red';
-            errorNode.innerHTML = `<h4>Error rendering component</h4><p>${error.message}</p>`;
-            return errorNode;
-        }
-    }
-    /**
-     * Renders a fragment (group of children without a container).
-     * 
-     * @param {Component} parentComponent - Parent component for context
-     * @returns {DocumentFragment} The rendered document fragment
-     * @private
-     */
-    renderFragment(parentComponent) {
-        const fragment = document.createDocumentFragment();
-        for (const child of this.children) {
-            try {
-                const renderedChild = child.render(parentComponent);
-                if (renderedChild) fragment.appendChild(renderedChild);
-            } catch (error) {
-                ErrorSystem.handleError(new RenderException(`Error rendering fragment child: ${error.message}`, {
-                    context: { child, error }
-                }));
-            }
-        }
-        return fragment;
-    }
-    /**
-     * Renders a portal (children rendered to a different part of the DOM).
+     * Creates an unmounted copy of this element sharing its type, props and children.
+     * Used by the reconciler when an element that is already mounted is rendered somewhere else.
      * 
-     * @param {Component} parentComponent - Parent component for context
-     * @returns {Comment} A comment node placeholder
-     * @private
+     * @returns {VirtualElement} The copy
      */
-    renderPortal(parentComponent) {
-        for (const child of this.children) {
-            try {
-                this.containerInfo.appendChild(child.render(parentComponent));
-            } catch (error) {
-                ErrorSystem.handleError(
-                    new RenderException(`Error rendering portal child: ${error.message}`, { context: { child, error } })
-                );
-            }
+    clone() {
+        const copy = Object.create(Object.getPrototypeOf(this));
+        for (const key of Object.keys(this)) {
+            if (!key.startsWith('_')) copy[key] = this[key];
         }
-        return document.createComment('portal');
+        return copy;
     }
     /**
-     * Renders a component (class or functional).
+     * Creates the instance backing a component element: a Component subclass instance for
+     * class components, or a hooks holder object for functional components.
      * 
+     * @param {Object} props - Props for the component, including children
      * @param {Component} parentComponent - Parent component for context
-     * @returns {Node} The rendered DOM node
-     * @private
+     * @returns {Component|Object} The component instance
+     * @throws {ComponentException} If the class component has no render method
      */
-    renderComponent(parentComponent) {
+    createComponentInstance(props, parentComponent) {
         const ComponentClass = this.type;
-        const isClassComponent = ComponentClass.prototype &&
-            (ComponentClass.prototype.isComponent ||
-                ComponentClass.prototype instanceof Component);
-        if (isClassComponent) {
-            try {
-                const componentInstance = new ComponentClass(this.props);
-                componentInstance.props = { ...this.props, children: this.children };
-                componentInstance._parentComponent = parentComponent;
-                if (typeof componentInstance.render !== 'function') {
-                    throw new Error(`El componente ${ComponentClass.name || 'sin nombre'} no tiene un método render válido`);
-                }
-                let renderedVNode = null;
-                try {
-                    renderedVNode = componentInstance.render();
-                } catch (renderError) {
-                    throw new Error(`Error al ejecutar render() en ${ComponentClass.name || 'sin nombre'}: ${renderError.message}`);
-                }
-                if (!renderedVNode) {
-                    const emptyNode = document.createComment('empty component');
-                    componentInstance._currentDOMNode = emptyNode;
-                    componentInstance._isMounted = true;
-                    emptyNode._componentInstance = componentInstance;
-                    return emptyNode;
-                }
-                if (typeof renderedVNode.render !== 'function') {
-                    if (typeof renderedVNode === 'string' || typeof renderedVNode === 'number') {
-                        renderedVNode = new TextElement(String(renderedVNode));
-                    } else if (Array.isArray(renderedVNode)) {
-                        renderedVNode = new VirtualElement(Symbol.for('littedom.fragment'), {}, ...renderedVNode);
-                    } else if (renderedVNode && typeof renderedVNode === 'object') {
-                        if (renderedVNode.nodeType) {
-                            componentInstance._currentDOMNode = renderedVNode;
-                            componentInstance._isMounted = true;
-                            renderedVNode._componentInstance = componentInstance;
-                            return renderedVNode;
-                        } else {
-                            throw new Error(`El componente ${ComponentClass.name || 'sin nombre'} devolvió un objeto que no es un VirtualElement válido`);
-                        }
-                    } else {
-                        throw new Error(`El componente ${ComponentClass.name || 'sin nombre'} devolvió un valor que no puede ser renderizado: ${typeof renderedVNode}`);
-                    }
-                }
-                const domNode = renderedVNode.render(componentInstance);
-                componentInstance._currentDOMNode = domNode;
-                componentInstance._isMounted = true;
-                domNode._componentInstance = componentInstance;
-                domNode._vnode = renderedVNode;
-                domNode._ownerComponent = componentInstance;
-                if (typeof componentInstance.componentDidMount === 'function') {
-                    setTimeout(() => componentInstance.componentDidMount(), 0);
-                }
-                return domNode;
-            } catch (error) {
-                let boundary = parentComponent;
-                let errorHandled = false;
-                const errorInfo = {
-                    componentName: ComponentClass.name || 'UnnamedComponent',
-                    componentStack: error.stack
-                };
-                while (boundary && !errorHandled) {
-                    if (boundary.isErrorBoundary && boundary.isErrorBoundary()) {
-                        boundary._hasError = error;
-                        boundary._errorInfo = errorInfo;
-                        if (boundary.componentDidCatch(error, errorInfo)) {
-                            errorHandled = true;
-                            return boundary.renderError().render(boundary);
-                        }
-                    }
-                    boundary = boundary._parentComponent;
-                }
-                ErrorSystem.handleError(
-                    new ComponentException(
-                        `Error in component ${ComponentClass.name || 'UnnamedComponent'}: ${error.message}`,
-                        { context: { error, props: this.props } }
-                    )
-                );
-                const errorNode = document.createElement('div');
-                errorNode.setAttribute('data-error', 'true');
-                errorNode.style.color = 'red';
-                errorNode.style.padding = '10px';
-                errorNode.style.border = '1px solid red';
-                errorNode.innerHTML = `<h4>Error in component ${ComponentClass.name || 'UnnamedComponent'}</h4><p>${error.message}</p>`;
-                return errorNode;
-            }
-        } else {
-            try {
-                const hooksComponent = {
-                    _hooks: [],
-                    _isMounted: false,
-                    _currentVNode: this,
-                    _renderInProgress: false,
-                    _pendingEffects: [],
-                    _parentComponent: parentComponent,
-                    render: () => {
-                        HooksContext.setCurrentComponent(hooksComponent);
-                        return ComponentClass(hooksComponent.props || this.props);
-                    },
-                    props: this.props
-                };
-                HooksContext.setCurrentComponent(hooksComponent);
-                const renderedElement = ComponentClass(this.props);
-                HooksContext.setCurrentComponent(null);
-                if (!renderedElement)
-                    return document.createComment('empty functional component');
-                if (typeof renderedElement !== 'object')
-                    return new TextElement(String(renderedElement)).render(parentComponent);
-                const domNode = renderedElement.render(hooksComponent);
-                if (domNode) {
-                    domNode._vnode = renderedElement;
-                    domNode._ownerComponent = hooksComponent;
-                    hooksComponent._currentDOMNode = domNode;
-                    hooksComponent._isMounted = true;
-                    if (hooksComponent._pendingEffects.length > 0) {
-                        for (const effect of hooksComponent._pendingEffects) {
-                            ReconciliationManager.scheduleEffect(effect);
-                        }
-                        hooksComponent._pendingEffects = [];
-                    }
-                }
-                return domNode;
-            } catch (error) {
-                let boundary = parentComponent;
-                let errorHandled = false;
-                const errorInfo = {
-                    componentName: ComponentClass.name || 'UnnamedFunctionalComponent',
-                    componentStack: error.stack
-                };
-                while (boundary && !errorHandled) {
-                    if (boundary.isErrorBoundary && boundary.isErrorBoundary()) {
-                        boundary._hasError = error;
-                        boundary._errorInfo = errorInfo;
-                        if (boundary.componentDidCatch(error, errorInfo)) {
-                            errorHandled = true;
-                            return boundary.renderError().render(boundary);
-                        }
-                    }
-                    boundary = boundary._parentComponent;
-                }
-                ErrorSystem.handleError(new ComponentException(
-                    `Error in functional component ${ComponentClass.name || 'UnnamedFunctionalComponent'}: ${error.message}`,
-                    { context: { error, props: this.props } }
-                ));
-                const errorNode = document.createElement('div');
-                errorNode.setAttribute('data-error', 'true');
-                errorNode.style.color = 'red';
-                errorNode.style.padding = '10px';
-                errorNode.style.border = '1px solid red';
-                errorNode.innerHTML = `<h4>Error in functional component ${ComponentClass.name || 'UnnamedFunctionalComponent'}</h4><p>${error.message}</p>`;
-                return errorNode;
+        if (isClassComponent(ComponentClass)) {
+            const componentInstance = new ComponentClass(props);
+            componentInstance.props = props;
+            componentInstance._parentComponent = parentComponent;
+            if (typeof componentInstance.render !== 'function') {
+                throw new ComponentException(`El componente ${ComponentClass.name || 'sin nombre'} no tiene un método render válido`);
             }
+            return componentInstance;
         }
+        const hooksComponent = {
+            _hooks: [],
+            _isMounted: false,
+            _dirty: false,
+            _currentVNode: this,
+            _renderInProgress: false,
+            _pendingEffects: [],
+            _parentComponent: parentComponent,
+            _ref: null,
+            render: () => {
+                HooksContext.setCurrentComponent(hooksComponent);
+                return ComponentClass(hooksComponent.props, ComponentClass._forwardsRef ? hooksComponent._ref : undefined);
+            },
+            props
+        };
+        return hooksComponent;
     }
     /**
-     * Renders a DOM element.
+     * Creates the DOM element for this virtual element and applies its props.
+     * Children are created and appended by the reconciler.
      * 
-     * @param {Component} parentComponent - Parent component for context
-     * @returns {Element} The rendered DOM element
-     * @private
+     * @param {string} [namespace] - Namespace of the element, HTML if omitted
+     * @returns {Element} The created DOM element
+     * @throws {RenderException} If the element cannot be created
      */
-    renderDOMElement(parentComponent) {
+    renderDOMElement(namespace = Namespace.HTML) {
         try {
-            const element = document.createElement(this.type);
+            const element = namespace === Namespace.HTML
+                ? document.createElement(this.type)
+                : document.createElementNS(namespace, this.type);
             element._vnode = this;
             this.applyProps(element);
-            for (const child of this.children) {
-                if (child) {
-                    try {
-                        const renderedChild = child.render(parentComponent);
-                        if (renderedChild) element.appendChild(renderedChild);
-                    } catch (error) {
-                        ErrorSystem.handleError(new RenderException(
-                            `Error rendering child of ${this.type}: ${error.message}`,
-                            { context: { element: this.type, child, error } }
-                        ));
-                        const errorNode = document.createElement('div');
-                        errorNode.style.color = 'red';
-                        errorNode.style.padding = '5px';
-                        errorNode.style.margin = '5px';
-                        errorNode.style.border = '1px dashed red';
-                        errorNode.textContent = `Child render error: ${error.message}`;
-                        element.appendChild(errorNode);
-                    }
-                }
-            }
-            if (this.props.ref) {
-                if (typeof this.props.ref === 'function') this.props.ref(element);
-                else if (this.props.ref && typeof this.props.ref === 'object') this.props.ref.current = element;
-            }
             return element;
         } catch (error) {
-            ErrorSystem.handleError(new RenderException(
+            throw error instanceof RenderException ? error : new RenderException(
                 `Error creating DOM element ${this.type}: ${error.message}`,
                 { context: { element: this.type, props: this.props, error } }
-            ));
-            const errorNode = document.createElement('div');
-            errorNode.style.color = 'red';
-            errorNode.style.padding = '5px';
-            errorNode.style.border = '1px solid red';
-            errorNode.textContent = `Error creating ${this.type}: ${error.message}`;
-            return errorNode;
+            );
         }
     }
     /**
-     * Applies props to a DOM element.
+     * Applies props to a DOM element. Props are written as DOM properties or attributes
+     * according to the property-info table, the same way _updateProps does on updates.
      * 
      * @param {Element} element - The DOM element to apply props to
      * @throws {RenderException} If there's an error applying props
@@ -574,38 +613,18 @@ class VirtualElement {
      */
     applyProps(element) {
         try {
+            if (this.props.type != null) setDOMProperty(element, 'type', this.props.type);
             for (const [key, value] of Object.entries(this.props)) {
+                if (key === 'type') continue;
                 if (key.startsWith('on') && typeof value === 'function') {
-                    EventSystem.registerEvent(element, key.slice(2).toLowerCase(), key, value);
+                    EventSystem.registerEvent(element, key, value);
                     continue;
                 }
                 if (key === 'style' && typeof value === 'object') {
-                    Object.assign(element.style, value);
-                    continue;
-                }
-                if (key === 'className') {
-                    element.setAttribute('class', value);
-                    continue;
-                }
-                if (typeof value === 'boolean') {
-                    if (value) element.setAttribute(key, '');
-                    else element.removeAttribute(key);
+                    for (const name in value) element.style[name] = getStyleValue(name, value[name]);
                     continue;
                 }
-                if (key !== 'children' && key !== 'key' && key !== 'ref') {
-                    const safeValue = typeof value === 'string'
-                        ? value.replace(/[<>"&]/g, char => {
-                            switch (char) {
-                                case '<': return '&lt;';
-                                case '>': return '&gt;';
-                                case '"': return '&quot;';
-                                case '&': return '&amp;';
-                                default: return char;
-                            }
-                        })
-                        : value;
-                    element.setAttribute(key, safeValue);
-                }
+                if (!ReservedProps.has(key)) setDOMProperty(element, key, value);
             }
         } catch (error) {
             throw new RenderException(`Error applying props: ${error.message}`, {
@@ -645,9 +664,11 @@ class TextElement extends VirtualElement {
      * 
      * @returns {Text} The text node
      */
-    render() {
+    renderDOMElement() {
         try {
-            return document.createTextNode(this.value);
+            const textNode = document.createTextNode(this.value);
+            textNode._vnode = this;
+            return textNode;
         } catch (error) {
             ErrorSystem.handleError(new RenderException(
                 `Error creating text node: ${error.message}`,
@@ -657,9 +678,39 @@ class TextElement extends VirtualElement {
         }
     }
 }
+/**
+ * CommentElement represents a comment node in the virtual DOM.
+ * Used as a placeholder for components that render nothing.
+ * 
+ * @class
+ * @extends VirtualElement
+ * @private
+ */
+class CommentElement extends VirtualElement {
+    /**
+     * Creates a new CommentElement.
+     * 
+     * @param {string} value - The comment content
+     */
+    constructor(value) {
+        super("#comment");
+        this.value = value;
+    }
+    /**
+     * Renders the comment element to a DOM comment node.
+     * 
+     * @returns {Comment} The comment node
+     */
+    renderDOMElement() {
+        const commentNode = document.createComment(this.value);
+        commentNode._vnode = this;
+        return commentNode;
+    }
+}
 /**
  * SyntheticEvent wraps native DOM events to provide a consistent interface.
- * Similar to React's SyntheticEvent.
+ * Similar to React's SyntheticEvent. Events are not pooled: each dispatch gets its own object,
+ * which handlers can keep and read asynchronously.
  * 
  * @class
  * @private
@@ -669,20 +720,29 @@ class SyntheticEvent {
      * Creates a new SyntheticEvent wrapping a native event.
      * 
      * @param {Event} nativeEvent - The native DOM event
+     * @param {string} [type] - The synthetic event type, the native type by default
      */
-    constructor(nativeEvent) {
+    constructor(nativeEvent, type = nativeEvent.type) {
         this.nativeEvent = nativeEvent;
         this.target = nativeEvent.target;
         this.currentTarget = nativeEvent.currentTarget;
-        this.type = nativeEvent.type;
+        this.type = type;
         this.bubbles = nativeEvent.bubbles;
         this.cancelable = nativeEvent.cancelable;
-        this.defaultPrevented = nativeEvent.defaultPrevented;
-        this.timeStamp = nativeEvent.timeStamp;
+        this.eventPhase = nativeEvent.eventPhase;
+        this.timeStamp = nativeEvent.timeStamp || Date.now();
         this.isTrusted = nativeEvent.isTrusted;
         this._isPropagationStopped = false;
         this._isDefaultPrevented = false;
     }
+    /**
+     * Whether preventDefault() was called, on this event or on the native one.
+     * 
+     * @type {boolean}
+     */
+    get defaultPrevented() {
+        return this._isDefaultPrevented || !!this.nativeEvent.defaultPrevented;
+    }
     /**
      * Prevents the default action of the event.
      */
@@ -702,140 +762,710 @@ class SyntheticEvent {
      * 
      * @returns {boolean} True if preventDefault() was called
      */
-    isDefaultPrevented() { return this._isDefaultPrevented; }
+    isDefaultPrevented() { return this.defaultPrevented; }
     /**
      * Checks if stopPropagation() was called on this event.
      * 
      * @returns {boolean} True if stopPropagation() was called
      */
     isPropagationStopped() { return this._isPropagationStopped; }
+    /**
+     * Keeps the event for asynchronous use. Events are never reused, so this does nothing; it is
+     * kept for code written for pooled events.
+     */
+    persist() { }
+    /**
+     * Checks if the event can be used asynchronously, which is always the case.
+     * 
+     * @returns {boolean} True
+     */
+    isPersistent() { return true; }
 }
 /**
- * Context provides a way to share values between components without passing props.
- * Similar to React.createContext().
+ * Synthetic event of the UI events: adds the view and detail of the native event.
  * 
  * @class
+ * @extends SyntheticEvent
  * @private
  */
-class Context {
+class SyntheticUIEvent extends SyntheticEvent {
     /**
-     * Creates a new Context with the given default value.
+     * Creates a new SyntheticUIEvent.
      * 
-     * @param {*} defaultValue - The default value for consumers when no provider is found
+     * @param {Event} nativeEvent - The native DOM event
+     * @param {string} [type] - The synthetic event type
      */
-    constructor(defaultValue) {
-        this._defaultValue = defaultValue;
-        this.Provider = function ContextProvider(props) {
-            const contextValue = props.value !== undefined ? props.value : defaultValue;
-            const currentComponent = HooksContext.currentComponent;
-            if (currentComponent) {
-                if (!currentComponent._contextValues) currentComponent._contextValues = new Map();
-                currentComponent._contextValues.set(this, contextValue);
-            }
-            return props.children;
-        };
-        this.Consumer = function ContextConsumer(props) {
-            const currentComponent = HooksContext.currentComponent;
-            const value = currentComponent && currentComponent._contextValues &&
-                currentComponent._contextValues.get(this) || defaultValue;
-            return typeof props.children === 'function' ? props.children(value) : null;
-        };
+    constructor(nativeEvent, type) {
+        super(nativeEvent, type);
+        this.view = nativeEvent.view || null;
+        this.detail = nativeEvent.detail || 0;
     }
 }
 /**
- * EventManager handles event delegation for better performance.
- * Similar to React's event system.
+ * Synthetic keyboard event. key always holds the standard key name: legacy names are mapped and,
+ * where the browser does not report it, the key is derived from keyCode or charCode.
  * 
  * @class
+ * @extends SyntheticUIEvent
  * @private
  */
-class EventManager {
+class SyntheticKeyboardEvent extends SyntheticUIEvent {
     /**
-     * Creates a new EventManager.
+     * Creates a new SyntheticKeyboardEvent.
+     * 
+     * @param {KeyboardEvent} nativeEvent - The native keyboard event
+     * @param {string} [type] - The synthetic event type
      */
-    constructor() {
-        this._eventHandlers = new WeakMap();
-        this._supportedEvents = [
-            'click', 'dblclick', 'mousedown', 'mouseup', 'mousemove', 'mouseover', 'mouseout',
-            'keydown', 'keyup', 'keypress', 'submit', 'change', 'focus', 'blur', 'input',
-            'touchstart', 'touchmove', 'touchend', 'touchcancel'
-        ];
-        this._initialized = false;
+    constructor(nativeEvent, type) {
+        super(nativeEvent, type);
+        this.code = nativeEvent.code || '';
+        this.location = nativeEvent.location || 0;
+        this.repeat = !!nativeEvent.repeat;
+        this.altKey = !!nativeEvent.altKey;
+        this.ctrlKey = !!nativeEvent.ctrlKey;
+        this.metaKey = !!nativeEvent.metaKey;
+        this.shiftKey = !!nativeEvent.shiftKey;
+        this.charCode = nativeEvent.type === 'keypress' ? nativeEvent.charCode || 0 : 0;
+        this.keyCode = nativeEvent.type === 'keypress' ? 0 : nativeEvent.keyCode || 0;
+        this.which = this.charCode || this.keyCode;
+        this.key = this._getKey();
     }
     /**
-     * Initializes the event system.
+     * Returns the standard name of the key.
+     * 
+     * @returns {string} The key name
+     * @private
      */
-    init() {
-        if (this._initialized) return;
-        try {
-            this._supportedEvents.forEach(eventType => {
-                document.addEventListener(eventType, this._handleEvent.bind(this), true);
-            });
-            this._initialized = true;
-        } catch (error) {
-            ErrorSystem.handleError(
-                new EventException(`Failed to initialize event system: ${error.message}`, { context: { error } })
-            );
+    _getKey() {
+        const key = this.nativeEvent.key;
+        if (key) {
+            const normalizedKey = NormalizedKeys[key] || key;
+            if (normalizedKey !== 'Unidentified') return normalizedKey;
+        }
+        if (this.nativeEvent.type === 'keypress') {
+            if (this.charCode === 13) return 'Enter';
+            return this.charCode ? String.fromCharCode(this.charCode) : '';
         }
+        return KeyCodeNames[this.keyCode] || 'Unidentified';
     }
     /**
-     * Registers an event handler for a DOM node.
+     * Returns whether a modifier key was pressed.
      * 
-     * @param {Node} domNode - The DOM node to attach the handler to
-     * @param {string} eventType - The event type (e.g., 'click')
-     * @param {string} propName - The prop name (e.g., 'onClick')
-     * @param {Function} handler - The event handler function
+     * @param {string} key - The modifier key ('Alt', 'Control', 'Meta', 'Shift'...)
+     * @returns {boolean} True if the modifier was active
      */
-    registerEvent(domNode, eventType, propName, handler) {
-        try {
-            if (!this._eventHandlers.has(domNode)) this._eventHandlers.set(domNode, {});
-            const nodeHandlers = this._eventHandlers.get(domNode);
-            if (!nodeHandlers[eventType]) nodeHandlers[eventType] = {};
-            nodeHandlers[eventType][propName] = handler;
-        } catch (error) {
-            ErrorSystem.handleError(
-                new EventException(`Failed to register event handler: ${error.message}`,
-                    { context: { domNode, eventType, propName, error } })
-            );
-        }
+    getModifierState(key) { return readModifierState(this.nativeEvent, key); }
+}
+/**
+ * Synthetic mouse event. relatedTarget is taken from fromElement/toElement in browsers that do
+ * not report it, and pageX/pageY are computed from the scroll position where missing.
+ * 
+ * @class
+ * @extends SyntheticUIEvent
+ * @private
+ */
+class SyntheticMouseEvent extends SyntheticUIEvent {
+    /**
+     * Creates a new SyntheticMouseEvent.
+     * 
+     * @param {MouseEvent} nativeEvent - The native mouse event
+     * @param {string} [type] - The synthetic event type
+     */
+    constructor(nativeEvent, type) {
+        super(nativeEvent, type);
+        const view = nativeEvent.view || (typeof window !== 'undefined' ? window : null);
+        this.screenX = nativeEvent.screenX || 0;
+        this.screenY = nativeEvent.screenY || 0;
+        this.clientX = nativeEvent.clientX || 0;
+        this.clientY = nativeEvent.clientY || 0;
+        this.pageX = 'pageX' in nativeEvent ? nativeEvent.pageX : this.clientX + (view ? view.scrollX || 0 : 0);
+        this.pageY = 'pageY' in nativeEvent ? nativeEvent.pageY : this.clientY + (view ? view.scrollY || 0 : 0);
+        this.movementX = nativeEvent.movementX || 0;
+        this.movementY = nativeEvent.movementY || 0;
+        this.button = nativeEvent.button || 0;
+        this.buttons = nativeEvent.buttons || 0;
+        this.altKey = !!nativeEvent.altKey;
+        this.ctrlKey = !!nativeEvent.ctrlKey;
+        this.metaKey = !!nativeEvent.metaKey;
+        this.shiftKey = !!nativeEvent.shiftKey;
+        this.relatedTarget = nativeEvent.relatedTarget !== undefined ? nativeEvent.relatedTarget
+            : (nativeEvent.fromElement === nativeEvent.srcElement ? nativeEvent.toElement : nativeEvent.fromElement) || null;
     }
     /**
-     * Removes all event handlers for a DOM node.
+     * Returns whether a modifier key was pressed.
      * 
-     * @param {Node} domNode - The DOM node to remove handlers from
+     * @param {string} key - The modifier key ('Alt', 'Control', 'Meta', 'Shift'...)
+     * @returns {boolean} True if the modifier was active
      */
-    removeAllHandlers(domNode) {
-        try {
-            if (this._eventHandlers.has(domNode)) this._eventHandlers.delete(domNode);
-        } catch (error) {
-            ErrorSystem.handleError(
-                new EventException(`Failed to remove event handlers: ${error.message}`,
+    getModifierState(key) { return readModifierState(this.nativeEvent, key); }
+}
+/**
+ * Synthetic pointer event.
+ * 
+ * @class
+ * @extends SyntheticMouseEvent
+ * @private
+ */
+class SyntheticPointerEvent extends SyntheticMouseEvent {
+    /**
+     * Creates a new SyntheticPointerEvent.
+     * 
+     * @param {PointerEvent} nativeEvent - The native pointer event
+     * @param {string} [type] - The synthetic event type
+     */
+    constructor(nativeEvent, type) {
+        super(nativeEvent, type);
+        this.pointerId = nativeEvent.pointerId || 0;
+        this.pointerType = nativeEvent.pointerType || '';
+        this.isPrimary = !!nativeEvent.isPrimary;
+        this.width = nativeEvent.width || 1;
+        this.height = nativeEvent.height || 1;
+        this.pressure = nativeEvent.pressure || 0;
+        this.tangentialPressure = nativeEvent.tangentialPressure || 0;
+        this.tiltX = nativeEvent.tiltX || 0;
+        this.tiltY = nativeEvent.tiltY || 0;
+        this.twist = nativeEvent.twist || 0;
+    }
+}
+/**
+ * Synthetic drag event.
+ * 
+ * @class
+ * @extends SyntheticMouseEvent
+ * @private
+ */
+class SyntheticDragEvent extends SyntheticMouseEvent {
+    /**
+     * Creates a new SyntheticDragEvent.
+     * 
+     * @param {DragEvent} nativeEvent - The native drag event
+     * @param {string} [type] - The synthetic event type
+     */
+    constructor(nativeEvent, type) {
+        super(nativeEvent, type);
+        this.dataTransfer = nativeEvent.dataTransfer || null;
+    }
+}
+/**
+ * Synthetic wheel event. The deltas are taken from the legacy wheelDelta properties, whose sign
+ * is inverted, in browsers that do not report them.
+ * 
+ * @class
+ * @extends SyntheticMouseEvent
+ * @private
+ */
+class SyntheticWheelEvent extends SyntheticMouseEvent {
+    /**
+     * Creates a new SyntheticWheelEvent.
+     * 
+     * @param {WheelEvent} nativeEvent - The native wheel event
+     * @param {string} [type] - The synthetic event type
+     */
+    constructor(nativeEvent, type) {
+        super(nativeEvent, type);
+        this.deltaX = 'deltaX' in nativeEvent ? nativeEvent.deltaX : 'wheelDeltaX' in nativeEvent ? -nativeEvent.wheelDeltaX : 0;
+        this.deltaY = 'deltaY' in nativeEvent ? nativeEvent.deltaY
+            : 'wheelDeltaY' in nativeEvent ? -nativeEvent.wheelDeltaY : 'wheelDelta' in nativeEvent ? -nativeEvent.wheelDelta : 0;
+        this.deltaZ = nativeEvent.deltaZ || 0;
+        this.deltaMode = nativeEvent.deltaMode || 0;
+    }
+}
+/**
+ * Synthetic touch event.
+ * 
+ * @class
+ * @extends SyntheticUIEvent
+ * @private
+ */
+class SyntheticTouchEvent extends SyntheticUIEvent {
+    /**
+     * Creates a new SyntheticTouchEvent.
+     * 
+     * @param {TouchEvent} nativeEvent - The native touch event
+     * @param {string} [type] - The synthetic event type
+     */
+    constructor(nativeEvent, type) {
+        super(nativeEvent, type);
+        this.touches = nativeEvent.touches || [];
+        this.targetTouches = nativeEvent.targetTouches || [];
+        this.changedTouches = nativeEvent.changedTouches || [];
+        this.altKey = !!nativeEvent.altKey;
+        this.ctrlKey = !!nativeEvent.ctrlKey;
+        this.metaKey = !!nativeEvent.metaKey;
+        this.shiftKey = !!nativeEvent.shiftKey;
+    }
+    /**
+     * Returns whether a modifier key was pressed.
+     * 
+     * @param {string} key - The modifier key ('Alt', 'Control', 'Meta', 'Shift'...)
+     * @returns {boolean} True if the modifier was active
+     */
+    getModifierState(key) { return readModifierState(this.nativeEvent, key); }
+}
+/**
+ * Synthetic focus event, for onFocus and onBlur.
+ * 
+ * @class
+ * @extends SyntheticUIEvent
+ * @private
+ */
+class SyntheticFocusEvent extends SyntheticUIEvent {
+    /**
+     * Creates a new SyntheticFocusEvent.
+     * 
+     * @param {FocusEvent} nativeEvent - The native focusin or focusout event
+     * @param {string} [type] - The synthetic event type
+     */
+    constructor(nativeEvent, type) {
+        super(nativeEvent, type);
+        this.relatedTarget = nativeEvent.relatedTarget || null;
+    }
+}
+/**
+ * Synthetic clipboard event.
+ * 
+ * @class
+ * @extends SyntheticEvent
+ * @private
+ */
+class SyntheticClipboardEvent extends SyntheticEvent {
+    /**
+     * Creates a new SyntheticClipboardEvent.
+     * 
+     * @param {ClipboardEvent} nativeEvent - The native clipboard event
+     * @param {string} [type] - The synthetic event type
+     */
+    constructor(nativeEvent, type) {
+        super(nativeEvent, type);
+        this.clipboardData = nativeEvent.clipboardData ||
+            (typeof window !== 'undefined' && window.clipboardData) || null;
+    }
+}
+/**
+ * Synthetic input event, for onInput and onBeforeInput.
+ * 
+ * @class
+ * @extends SyntheticUIEvent
+ * @private
+ */
+class SyntheticInputEvent extends SyntheticUIEvent {
+    /**
+     * Creates a new SyntheticInputEvent.
+     * 
+     * @param {InputEvent} nativeEvent - The native input event
+     * @param {string} [type] - The synthetic event type
+     */
+    constructor(nativeEvent, type) {
+        super(nativeEvent, type);
+        this.data = nativeEvent.data ?? null;
+        this.inputType = nativeEvent.inputType || '';
+        this.isComposing = !!nativeEvent.isComposing;
+    }
+}
+/**
+ * Synthetic composition event.
+ * 
+ * @class
+ * @extends SyntheticUIEvent
+ * @private
+ */
+class SyntheticCompositionEvent extends SyntheticUIEvent {
+    /**
+     * Creates a new SyntheticCompositionEvent.
+     * 
+     * @param {CompositionEvent} nativeEvent - The native composition event
+     * @param {string} [type] - The synthetic event type
+     */
+    constructor(nativeEvent, type) {
+        super(nativeEvent, type);
+        this.data = nativeEvent.data ?? '';
+    }
+}
+/**
+ * Synthetic animation event.
+ * 
+ * @class
+ * @extends SyntheticEvent
+ * @private
+ */
+class SyntheticAnimationEvent extends SyntheticEvent {
+    /**
+     * Creates a new SyntheticAnimationEvent.
+     * 
+     * @param {AnimationEvent} nativeEvent - The native animation event
+     * @param {string} [type] - The synthetic event type
+     */
+    constructor(nativeEvent, type) {
+        super(nativeEvent, type);
+        this.animationName = nativeEvent.animationName || '';
+        this.elapsedTime = nativeEvent.elapsedTime || 0;
+        this.pseudoElement = nativeEvent.pseudoElement || '';
+    }
+}
+/**
+ * Synthetic transition event.
+ * 
+ * @class
+ * @extends SyntheticEvent
+ * @private
+ */
+class SyntheticTransitionEvent extends SyntheticEvent {
+    /**
+     * Creates a new SyntheticTransitionEvent.
+     * 
+     * @param {TransitionEvent} nativeEvent - The native transition event
+     * @param {string} [type] - The synthetic event type
+     */
+    constructor(nativeEvent, type) {
+        super(nativeEvent, type);
+        this.propertyName = nativeEvent.propertyName || '';
+        this.elapsedTime = nativeEvent.elapsedTime || 0;
+        this.pseudoElement = nativeEvent.pseudoElement || '';
+    }
+}
+/**
+ * Context provides a way to share values between components without passing props.
+ * Similar to React.createContext().
+ * A Provider stores its value on its own component instance; consumers find the nearest
+ * provider by walking up `_parentComponent` and subscribe to it, so they are re-rendered
+ * when its value changes, even below components that bailed out of rendering.
+ * 
+ * @class
+ * @private
+ */
+class Context {
+    /**
+     * Creates a new Context with the given default value.
+     * 
+     * @param {*} defaultValue - The default value for consumers when no provider is found
+     */
+    constructor(defaultValue) {
+        this._defaultValue = defaultValue;
+        const context = this;
+        this.Provider = function ContextProvider(props) {
+            const contextValue = props.value !== undefined ? props.value : defaultValue;
+            const currentComponent = HooksContext.currentComponent;
+            if (currentComponent) context._provide(currentComponent, contextValue);
+            return props.children;
+        };
+        this.Consumer = function ContextConsumer(props) {
+            const value = context._read(HooksContext.currentComponent);
+            return typeof props.children === 'function' ? props.children(value) : null;
+        };
+    }
+    /**
+     * Stores the value of a provider. If it changed, the components that read it are updated
+     * in the same render pass.
+     * 
+     * @param {Object} provider - The provider component instance
+     * @param {*} value - The provided value
+     * @private
+     */
+    _provide(provider, value) {
+        if (!provider._contextValues) provider._contextValues = new Map();
+        const values = provider._contextValues;
+        const hadValue = values.has(this);
+        const previousValue = values.get(this);
+        values.set(this, value);
+        ReconciliationManager.onCommit(null, () => {
+            if (hadValue) values.set(this, previousValue);
+            else values.delete(this);
+        });
+        const consumers = provider._contextConsumers && provider._contextConsumers.get(this);
+        if (hadValue && consumers && !Object.is(previousValue, value)) ReconciliationManager.scheduleContextUpdate(consumers);
+    }
+    /**
+     * Reads the value of the nearest provider above a component, or the default value if there
+     * is none, and subscribes the component to that provider.
+     * 
+     * @param {Object} component - The component instance reading the context
+     * @returns {*} The context value
+     * @private
+     */
+    _read(component) {
+        for (let provider = component && component._parentComponent; provider; provider = provider._parentComponent) {
+            if (!provider._contextValues || !provider._contextValues.has(this)) continue;
+            if (!HooksContext.serverRendering) {
+                if (!provider._contextConsumers) provider._contextConsumers = new Map();
+                if (!provider._contextConsumers.has(this)) provider._contextConsumers.set(this, new Set());
+                provider._contextConsumers.get(this).add(component);
+            }
+            return provider._contextValues.get(this);
+        }
+        return this._defaultValue;
+    }
+}
+/**
+ * EventManager handles event delegation for better performance.
+ * Similar to React's event system: every root container (and portal container) gets one capture
+ * listener per native event, which dispatches the event through the handlers of the tree.
+ * 
+ * @class
+ * @private
+ */
+class EventManager {
+    /**
+     * Creates a new EventManager.
+     */
+    constructor() {
+        this._eventHandlers = new WeakMap();
+        this._supportedEvents = [...new Set(Object.values(EventRegistry).flatMap(event => event.dependencies))];
+        this._dispatchedTypes = new Map();
+        for (const { type, dependencies } of Object.values(EventRegistry)) {
+            if (dependencies.length === 1) this._dispatchedTypes.set(dependencies[0], type);
+        }
+        this._bubblingTypes = new Set(Object.values(EventRegistry).filter(event => event.bubbles).map(event => event.type));
+        this._eventClasses = new Map();
+        const addEventClass = (EventClass, types) => types.forEach(type => this._eventClasses.set(type, EventClass));
+        addEventClass(SyntheticKeyboardEvent, ['keydown', 'keyup', 'keypress']);
+        addEventClass(SyntheticMouseEvent, [
+            'click', 'auxclick', 'contextmenu', 'dblclick', 'mousedown', 'mouseup', 'mousemove', 'mouseover',
+            'mouseout', 'mouseenter', 'mouseleave'
+        ]);
+        addEventClass(SyntheticPointerEvent, [
+            'pointerdown', 'pointerup', 'pointermove', 'pointerover', 'pointerout', 'pointerenter', 'pointerleave',
+            'pointercancel', 'gotpointercapture', 'lostpointercapture'
+        ]);
+        addEventClass(SyntheticDragEvent, ['drag', 'dragstart', 'dragend', 'dragenter', 'dragleave', 'dragover', 'drop']);
+        addEventClass(SyntheticTouchEvent, ['touchstart', 'touchmove', 'touchend', 'touchcancel']);
+        addEventClass(SyntheticWheelEvent, ['wheel']);
+        addEventClass(SyntheticFocusEvent, ['focus', 'blur']);
+        addEventClass(SyntheticClipboardEvent, ['copy', 'cut', 'paste']);
+        addEventClass(SyntheticInputEvent, ['input', 'beforeinput']);
+        addEventClass(SyntheticCompositionEvent, ['compositionstart', 'compositionupdate', 'compositionend']);
+        addEventClass(SyntheticAnimationEvent, ['animationstart', 'animationend', 'animationiteration']);
+        addEventClass(SyntheticTransitionEvent, ['transitionrun', 'transitionstart', 'transitionend', 'transitioncancel']);
+        addEventClass(SyntheticUIEvent, ['scroll', 'scrollend']);
+        this._warnedUnknownEvents = new Set();
+        this._rootListeners = new WeakMap();
+        this._rootContainers = new WeakSet();
+        this._portalCounts = new Map();
+        this._rootNodes = new WeakSet();
+        this._handledEvents = new WeakSet();
+    }
+    /**
+     * Attaches the delegated event listeners to a root container, once.
+     * Listening on the container instead of the document keeps events working inside shadow
+     * roots and iframes, and next to code that stops their propagation outside the container.
+     * 
+     * @param {Element|ShadowRoot} container - The container
+     */
+    listenToRoot(container) {
+        if (!container) return;
+        this._rootContainers.add(container);
+        this._attachListeners(container);
+    }
+    /**
+     * Attaches the delegated event listeners to a portal container and counts the portals
+     * rendering into it, so the listeners can be removed when the last one unmounts.
+     * 
+     * @param {Element|ShadowRoot} container - The portal container
+     */
+    listenToPortal(container) {
+        if (!container) return;
+        this._portalCounts.set(container, (this._portalCounts.get(container) || 0) + 1);
+        this._attachListeners(container);
+    }
+    /**
+     * Releases a portal container. The listeners are removed when no other portal renders into
+     * it and it is not a root container.
+     * 
+     * @param {Element|ShadowRoot} container - The portal container
+     */
+    releasePortal(container) {
+        const count = (this._portalCounts.get(container) || 0) - 1;
+        if (count > 0) {
+            this._portalCounts.set(container, count);
+            return;
+        }
+        this._portalCounts.delete(container);
+        if (!this._rootContainers.has(container)) this._detachListeners(container);
+    }
+    /**
+     * Removes the delegated event listeners of a root container, unless portals still render
+     * into it.
+     * 
+     * @param {Element|ShadowRoot} container - The container
+     */
+    removeRootListeners(container) {
+        this._rootContainers.delete(container);
+        if (!this._portalCounts.has(container)) this._detachListeners(container);
+    }
+    /**
+     * Adds the capture listener for every supported native event to a container, once.
+     * 
+     * @param {Element|ShadowRoot} container - The container
+     * @private
+     */
+    _attachListeners(container) {
+        if (this._rootListeners.has(container)) return;
+        try {
+            const listener = nativeEvent => this._handleEvent(nativeEvent);
+            this._supportedEvents.forEach(eventType => container.addEventListener(eventType, listener, true));
+            this._rootListeners.set(container, listener);
+            this._rootNodes.add(typeof container.getRootNode === 'function' ? container.getRootNode() : container);
+        } catch (error) {
+            ErrorSystem.handleError(
+                new EventException(`Failed to attach event listeners: ${error.message}`, { context: { container, error } })
+            );
+        }
+    }
+    /**
+     * Removes the listeners added by _attachListeners.
+     * 
+     * @param {Element|ShadowRoot} container - The container
+     * @private
+     */
+    _detachListeners(container) {
+        const listener = this._rootListeners.get(container);
+        if (!listener) return;
+        this._supportedEvents.forEach(eventType => container.removeEventListener(eventType, listener, true));
+        this._rootListeners.delete(container);
+    }
+    /**
+     * Registers an event handler for a DOM node, for the event and phase its prop name stands for.
+     * Props that are not in the event registry are reported once and ignored.
+     * 
+     * @param {Node} domNode - The DOM node to attach the handler to
+     * @param {string} propName - The prop name (e.g., 'onClick' or 'onClickCapture')
+     * @param {Function|null} handler - The event handler function, or null to remove it
+     */
+    registerEvent(domNode, propName, handler) {
+        try {
+            const event = getEventInfo(propName);
+            if (!event) {
+                if (typeof handler === 'function' && !this._warnedUnknownEvents.has(propName)) {
+                    this._warnedUnknownEvents.add(propName);
+                    ErrorSystem.handleError(new EventException(`Unknown event handler property ${propName}, it will be ignored`,
+                        { code: 'ERR_UNKNOWN_EVENT', severity: 'warning', context: { propName } }));
+                }
+                return;
+            }
+            if (!this._eventHandlers.has(domNode)) this._eventHandlers.set(domNode, {});
+            const nodeHandlers = this._eventHandlers.get(domNode);
+            if (!nodeHandlers[event.type]) nodeHandlers[event.type] = {};
+            nodeHandlers[event.type][event.capture ? 'capture' : 'bubble'] = handler;
+        } catch (error) {
+            ErrorSystem.handleError(
+                new EventException(`Failed to register event handler: ${error.message}`,
+                    { context: { domNode, propName, error } })
+            );
+        }
+    }
+    /**
+     * Removes all event handlers for a DOM node.
+     * 
+     * @param {Node} domNode - The DOM node to remove handlers from
+     */
+    removeAllHandlers(domNode) {
+        try {
+            if (this._eventHandlers.has(domNode)) this._eventHandlers.delete(domNode);
+        } catch (error) {
+            ErrorSystem.handleError(
+                new EventException(`Failed to remove event handlers: ${error.message}`,
                     { context: { domNode, error } })
             );
         }
     }
     /**
      * Handles a native DOM event and dispatches it to registered handlers.
+     * Updates scheduled by discrete events (clicks, key presses) are urgent; continuous events
+     * such as mouse moves get the default priority so they can be batched.
+     * Controlled form elements are forced back to their props once the event has been handled.
      * 
      * @param {Event} nativeEvent - The native DOM event
      * @private
      */
     _handleEvent(nativeEvent) {
-        try {
-            const syntheticEvent = new SyntheticEvent(nativeEvent);
-            let target = nativeEvent.target;
-            const eventType = nativeEvent.type;
-            const targetPath = [];
-            while (target && target !== document) {
-                targetPath.unshift(target);
-                target = target.parentNode;
+        if (this._handledEvents.has(nativeEvent)) return;
+        this._handledEvents.add(nativeEvent);
+        const priority = ContinuousEvents.has(nativeEvent.type) ? UpdatePriority.Default : UpdatePriority.Urgent;
+        ReconciliationManager.runWithPriority(priority, () => {
+            for (const eventType of this._getDispatchedTypes(nativeEvent)) this._dispatchEvent(nativeEvent, eventType);
+            if (/^(mouse|pointer)(over|out)$/.test(nativeEvent.type)) this._dispatchEnterLeave(nativeEvent);
+        });
+        this._restoreControlledState(this._getEventTarget(nativeEvent));
+    }
+    /**
+     * Returns the node an event was dispatched at. Listeners outside a shadow root see the shadow
+     * host as the target, so the original target is taken from composedPath(): the innermost node
+     * of a document or shadow root the tree renders into. Nodes inside other shadow roots, such as
+     * those of third-party web components, stay hidden behind their host.
+     * 
+     * @param {Event} nativeEvent - The native DOM event
+     * @returns {Node|null} The target
+     * @private
+     */
+    _getEventTarget(nativeEvent) {
+        const path = typeof nativeEvent.composedPath === 'function' ? nativeEvent.composedPath() : [];
+        const target = path.find(node => typeof node.getRootNode === 'function' &&
+            (node.getRootNode() === document || this._rootNodes.has(node.getRootNode()))) || nativeEvent.target;
+        return target && target.nodeType === 3 ? target.parentNode : target;
+    }
+    /**
+     * Returns the synthetic event types a native event is dispatched as. Like in React, onChange
+     * of text fields fires on every input event instead of when the field loses focus.
+     * 
+     * @param {Event} nativeEvent - The native DOM event
+     * @returns {Array<string>} The event types
+     * @private
+     */
+    _getDispatchedTypes(nativeEvent) {
+        const eventType = this._dispatchedTypes.get(nativeEvent.type);
+        if (!eventType) return [];
+        if (!isTextControl(this._getEventTarget(nativeEvent))) return [eventType];
+        if (eventType === 'input') return ['input', 'change'];
+        if (eventType === 'change') return [];
+        return [eventType];
+    }
+    /**
+     * Forces a controlled form element (one rendered with a value or checked prop) back to its
+     * props after an event. The restore runs in a microtask, after the urgent updates scheduled
+     * by the event handlers have been rendered, so an accepted change is not reverted.
+     * 
+     * @param {Node} target - The event target
+     * @private
+     */
+    _restoreControlledState(target) {
+        const isControlled = node => node && node._vnode && node._vnode.props &&
+            (node._vnode.props.value != null || node._vnode.props.checked != null);
+        if (!isControlled(target)) return;
+        const restore = () => {
+            let nodes = [target];
+            if (target.localName === 'input' && target.type === 'radio' && target.name) {
+                const scope = target.form || target.ownerDocument;
+                nodes = [...scope.querySelectorAll('input[type="radio"]')].filter(node => node.name === target.name);
             }
+            for (const node of nodes) {
+                if (isControlled(node)) updateFormControl(node, node._vnode.props, false);
+            }
+        };
+        if (typeof queueMicrotask === 'function') queueMicrotask(restore);
+        else Promise.resolve().then(restore);
+    }
+    /**
+     * Dispatches a native event through the capture and bubble phases of the target path.
+     * The path follows the component tree: from the content of a portal it continues at the
+     * place where the portal was rendered instead of at the portal container. Events that do not
+     * bubble, such as onScroll or media events, still go through the capture phase of the
+     * ancestors, but only reach the bubble-phase handler of their target.
+     * 
+     * @param {Event} nativeEvent - The native DOM event
+     * @param {string} [eventType] - The synthetic event type, the native type by default
+     * @private
+     */
+    _dispatchEvent(nativeEvent, eventType = nativeEvent.type) {
+        try {
+            const syntheticEvent = this._createSyntheticEvent(nativeEvent, eventType);
+            syntheticEvent.target = this._getEventTarget(nativeEvent);
+            const targetPath = this._getTargetPath(syntheticEvent.target);
             for (const node of targetPath) {
-                this._executeHandlersForNode(node, eventType, syntheticEvent, 'Capture');
+                this._executeHandlersForNode(node, eventType, syntheticEvent, 'capture');
                 if (syntheticEvent.isPropagationStopped()) break;
             }
             if (!syntheticEvent.isPropagationStopped()) {
-                for (let i = targetPath.length - 1; i >= 0; i--) {
+                const last = this._bubblingTypes.has(eventType) ? 0 : targetPath.length - 1;
+                for (let i = targetPath.length - 1; i >= last; i--) {
                     this._executeHandlersForNode(targetPath[i], eventType, syntheticEvent);
                     if (syntheticEvent.isPropagationStopped()) break;
                 }
@@ -850,34 +1480,110 @@ class EventManager {
         }
     }
     /**
-     * Executes event handlers registered for a node.
+     * Emulates the enter and leave events from an out event, or from an over event coming from a
+     * node outside every container this manager listens on (or from outside the window), whose
+     * out event was never seen: leave is dispatched to every node the pointer left, from the target up to the
+     * common ancestor of both nodes, and enter to every node it entered, from below that ancestor
+     * down to the new target. Neither bubbles.
      * 
-     * @param {Node} node - The DOM node
-     * @param {string} eventType - The event type
-     * @param {SyntheticEvent} syntheticEvent - The synthetic event
-     * @param {string} [phase=''] - The event phase ('Capture' or '')
+     * @param {Event} nativeEvent - The native mouseover, mouseout, pointerover or pointerout event
      * @private
      */
-    _executeHandlersForNode(node, eventType, syntheticEvent, phase = '') {
+    _dispatchEnterLeave(nativeEvent) {
         try {
-            if (!this._eventHandlers.has(node)) return;
-            const nodeHandlers = this._eventHandlers.get(node);
-            if (!nodeHandlers[eventType]) return;
-            const handlerName = `on${eventType.charAt(0).toUpperCase() + eventType.slice(1)}${phase}`;
-            const handler = nodeHandlers[eventType][handlerName];
-            if (typeof handler === 'function') {
-                syntheticEvent.currentTarget = node;
-                handler(syntheticEvent);
-            }
+            const isOut = nativeEvent.type.endsWith('out');
+            if (!isOut && this._isInContainer(nativeEvent.relatedTarget)) return;
+            const from = isOut ? this._getEventTarget(nativeEvent) : nativeEvent.relatedTarget;
+            const to = isOut ? nativeEvent.relatedTarget : this._getEventTarget(nativeEvent);
+            const fromPath = this._getTargetPath(from);
+            const toPath = this._getTargetPath(to);
+            let common = 0;
+            while (common < fromPath.length && common < toPath.length && fromPath[common] === toPath[common]) common++;
+            const prefix = nativeEvent.type.startsWith('pointer') ? 'pointer' : 'mouse';
+            const dispatch = (node, eventType, target, relatedTarget) => {
+                const syntheticEvent = this._createSyntheticEvent(nativeEvent, eventType);
+                syntheticEvent.target = target;
+                syntheticEvent.relatedTarget = relatedTarget;
+                this._executeHandlersForNode(node, eventType, syntheticEvent);
+            };
+            for (let i = fromPath.length - 1; i >= common; i--) dispatch(fromPath[i], `${prefix}leave`, from, to);
+            for (let i = common; i < toPath.length; i++) dispatch(toPath[i], `${prefix}enter`, to, from);
         } catch (error) {
             ErrorSystem.handleError(
-                new EventException(`Error executing event handler: ${error.message}`, {
-                    context: {
-                        node, eventType,
-                        handlerName: `on${eventType.charAt(0).toUpperCase() + eventType.slice(1)}${phase}`,
-                        error
-                    }
-                })
+                new EventException(`Error handling event: ${error.message}`,
+                    { context: { eventType: nativeEvent.type, error } })
+            );
+        }
+    }
+    /**
+     * Checks if a node is inside a root or portal container this manager listens on, so its
+     * events reach the delegated listeners.
+     * 
+     * @param {Node|null} node - The node
+     * @returns {boolean} True if the node is inside a listened container
+     * @private
+     */
+    _isInContainer(node) {
+        for (; node; node = node.parentNode || node.host) {
+            if (this._rootListeners.has(node)) return true;
+        }
+        return false;
+    }
+    /**
+     * Creates the synthetic event a handler receives, of the class that matches the event type.
+     * onChange gets a plain SyntheticEvent even when it is dispatched from an input event.
+     * 
+     * @param {Event} nativeEvent - The native DOM event
+     * @param {string} eventType - The synthetic event type
+     * @returns {SyntheticEvent} The synthetic event
+     * @private
+     */
+    _createSyntheticEvent(nativeEvent, eventType) {
+        const EventClass = this._eventClasses.get(eventType) || SyntheticEvent;
+        return new EventClass(nativeEvent, eventType);
+    }
+    /**
+     * Returns the nodes an event dispatched at a target goes through, from the outermost down to
+     * the target, continuing at the place where a portal was rendered and at the host of a shadow root.
+     * 
+     * @param {Node|null} target - The event target
+     * @returns {Array<Node>} The path
+     * @private
+     */
+    _getTargetPath(target) {
+        const targetPath = [];
+        while (target && target !== document) {
+            targetPath.unshift(target);
+            target = target._portalHost || target.parentNode || target.host;
+        }
+        return targetPath;
+    }
+    /**
+     * Executes the event handler registered for a node and phase.
+     * 
+     * @param {Node} node - The DOM node
+     * @param {string} eventType - The event type
+     * @param {SyntheticEvent} syntheticEvent - The synthetic event
+     * @param {string} [phase='bubble'] - The event phase ('capture' or 'bubble')
+     * @private
+     */
+    _executeHandlersForNode(node, eventType, syntheticEvent, phase = 'bubble') {
+        try {
+            const nodeHandlers = this._eventHandlers.get(node);
+            const handler = nodeHandlers && nodeHandlers[eventType] && nodeHandlers[eventType][phase];
+            if (typeof handler === 'function') {
+                syntheticEvent.currentTarget = node;
+                try {
+                    handler(syntheticEvent);
+                } finally {
+                    syntheticEvent.currentTarget = null;
+                }
+            }
+        } catch (error) {
+            ErrorSystem.handleError(
+                new EventException(`Error executing event handler: ${error.message}`, {
+                    context: { node, eventType, phase, error }
+                })
             );
         }
     }
@@ -886,6 +1592,11 @@ class EventManager {
  * VirtualDOMReconciliation handles the process of updating the DOM efficiently.
  * Similar to React's reconciliation algorithm.
  * 
+ * Rendering is split into units of work processed by a work loop. Each unit reconciles a single
+ * virtual element and records the DOM mutations it needs instead of applying them, so a render
+ * pass can yield back to the browser when its time slice runs out and resume later. The recorded
+ * mutations are committed in one go once the whole tree has been reconciled.
+ * 
  * @class
  * @private
  */
@@ -900,6 +1611,17 @@ class VirtualDOMReconciliation {
         this._batchTimeout = null;
         this._isProcessingUpdates = false;
         this._renderErrorHandlers = [];
+        this._timeSlice = 5;
+        this._workInProgress = null;
+        this._currentPass = null;
+        this._hostChannel = null;
+        this._hostCallbacks = [];
+        this._isPassiveFlushScheduled = false;
+        this._currentPriority = UpdatePriority.Default;
+        this._isUrgentBatchScheduled = false;
+        this._lastCommitOperations = { insertions: 0, moves: 0, removals: 0 };
+        this._htmlSanitizer = null;
+        this._refCleanups = new WeakMap();
     }
     /**
      * Registers a handler for render errors.
@@ -912,67 +1634,1496 @@ class VirtualDOMReconciliation {
         }
     }
     /**
-     * Schedules a component for update.
+     * Sets the sanitizer every dangerouslySetInnerHTML injection passes through.
+     * 
+     * @param {Function|null} sanitizer - Function (html) => safeHtml, or null to inject HTML as given
+     * @throws {ValidationException} If the sanitizer is not a function or null
+     */
+    setHTMLSanitizer(sanitizer) {
+        if (sanitizer !== null && typeof sanitizer !== 'function') {
+            throw new ValidationException('The HTML sanitizer must be a function or null', { context: { sanitizer } });
+        }
+        this._htmlSanitizer = sanitizer;
+    }
+    /**
+     * Returns the HTML to inject for an element with dangerouslySetInnerHTML, passed through the sanitizer.
+     * 
+     * @param {VirtualElement} vnode - The element
+     * @returns {string|null} The HTML, or null if the element does not use dangerouslySetInnerHTML
+     * @throws {ValidationException} If the element also has children or the prop is malformed
+     */
+    getInnerHTML(vnode) {
+        const innerHTML = vnode.props.dangerouslySetInnerHTML;
+        if (innerHTML == null) return null;
+        if ((vnode.children && vnode.children.length > 0) || vnode.props.children != null) {
+            throw new ValidationException(`Can only set one of children or dangerouslySetInnerHTML on <${vnode.type}>`,
+                { context: { element: vnode.type, props: vnode.props } });
+        }
+        if (typeof innerHTML !== 'object' || !('__html' in innerHTML)) {
+            throw new ValidationException('dangerouslySetInnerHTML must be an object of the form { __html: string }',
+                { context: { element: vnode.type, dangerouslySetInnerHTML: innerHTML } });
+        }
+        const html = innerHTML.__html == null ? '' : String(innerHTML.__html);
+        return this._htmlSanitizer ? String(this._htmlSanitizer(html) ?? '') : html;
+    }
+    /**
+     * Gets or creates the root record for a container.
+     * 
+     * @param {Element} container - The container element
+     * @param {string} [mode='legacy'] - 'legacy' for synchronous rendering, 'concurrent' for time-sliced rendering
+     * @returns {Object} The root record ({ container, mode, current, pendingElement, hydrate, identifierPrefix })
+     */
+    createRoot(container, mode = 'legacy') {
+        if (!container._littedomRoot) {
+            const root = { container, mode, current: null, pendingElement: null, hydrate: false, identifierPrefix: '', _depth: -1, _dirty: false };
+            root._root = root;
+            container._littedomRoot = root;
+        }
+        return container._littedomRoot;
+    }
+    /**
+     * Schedules a time-sliced render of an element into a concurrent root.
+     * 
+     * @param {VirtualElement} element - The element to render
+     * @param {Object} root - The root record created with createRoot
+     */
+    updateContainer(element, root) {
+        root.pendingElement = element;
+        this.scheduleUpdate(root);
+    }
+    /**
+     * Returns the priority that updates scheduled right now should get.
+     * 
+     * @returns {number} The current update priority
+     */
+    getCurrentPriority() {
+        return this._currentPass ? this._currentPass.priority : this._currentPriority;
+    }
+    /**
+     * Runs a function so that every update it schedules gets the given priority.
+     * 
+     * @param {number} priority - The update priority
+     * @param {Function} callback - The function to run
+     * @returns {*} Whatever the function returns
+     */
+    runWithPriority(priority, callback) {
+        const previousPriority = this._currentPriority;
+        this._currentPriority = priority;
+        try {
+            return callback();
+        } finally {
+            this._currentPriority = previousPriority;
+        }
+    }
+    /**
+     * Registers state changes made while rendering: the commit runs when the current pass is
+     * committed, the rollback when the pass is thrown away. Outside a pass the commit runs immediately.
+     * 
+     * @param {Function} [commit] - Function to run on commit
+     * @param {Function} [rollback] - Function to run if the pass is discarded
+     */
+    onCommit(commit, rollback) {
+        const pass = this._currentPass;
+        if (!pass) {
+            if (commit) commit();
+            return;
+        }
+        if (commit) pass.mutations.push(commit);
+        if (rollback) pass.rollbacks.push(rollback);
+    }
+    /**
+     * Schedules a component for update.
+     * An update more urgent than the pass currently in progress interrupts it: the pass is thrown
+     * away and restarted, on top of the urgent update, once that one has been committed.
+     * 
+     * @param {Component} component - The component to update
+     * @param {number} [priority] - Priority of the update, defaults to the current priority
+     */
+    scheduleUpdate(component, priority = this.getCurrentPriority()) {
+        component._dirty = true;
+        component._priority = Math.min(component._priority ?? priority, priority);
+        if (!this._updateQueue.includes(component)) this._updateQueue.push(component);
+        if (this._workInProgress && priority < this._workInProgress.priority) this._interruptWork();
+        this._scheduleBatch(priority);
+    }
+    /**
+     * Re-renders the consumers of a context whose value changed. While a pass is rendering they
+     * are added to it as updates, which are skipped for consumers already re-rendered by their
+     * parent; consumers below a component that bailed out are still reached this way.
+     * Unmounted consumers are unsubscribed.
+     * 
+     * @param {Set<Object>} consumers - The component instances subscribed to the provider
+     */
+    scheduleContextUpdate(consumers) {
+        const pass = this._currentPass;
+        const mounted = [];
+        for (const consumer of consumers) {
+            if (consumer._isMounted) mounted.push(consumer);
+            else consumers.delete(consumer);
+        }
+        if (!pass) {
+            mounted.forEach(consumer => this.scheduleUpdate(consumer));
+            return;
+        }
+        for (const consumer of mounted.sort((a, b) => b._depth - a._depth)) {
+            consumer._dirty = true;
+            consumer._contextChanged = true;
+            pass.stack.push({ kind: 'update', instance: consumer });
+        }
+    }
+    /**
+     * Schedules the processing of the update queue. Urgent updates are processed in a microtask,
+     * right after the event that caused them; anything else in a macrotask.
+     * 
+     * @param {number} priority - Priority of the most urgent pending update
+     * @private
+     */
+    _scheduleBatch(priority) {
+        if (priority === UpdatePriority.Urgent) {
+            if (this._isUrgentBatchScheduled) return;
+            this._isUrgentBatchScheduled = true;
+            const flush = () => {
+                this._isUrgentBatchScheduled = false;
+                this._processBatchedUpdates();
+            };
+            if (typeof queueMicrotask === 'function') queueMicrotask(flush);
+            else Promise.resolve().then(flush);
+            return;
+        }
+        if (!this._isBatchingUpdates) {
+            this._isBatchingUpdates = true;
+            this._batchTimeout = setTimeout(() => this._processBatchedUpdates(), 0);
+        }
+    }
+    /**
+     * Throws away the pass in progress: state changes made while rendering it are rolled back and
+     * the updates it was processing are queued again.
+     * 
+     * @private
+     */
+    _interruptWork() {
+        const pass = this._workInProgress;
+        this._workInProgress = null;
+        for (let i = pass.rollbacks.length - 1; i >= 0; i--) pass.rollbacks[i]();
+        for (const { item, priority } of pass.items) {
+            item._dirty = true;
+            item._priority = Math.min(item._priority ?? priority, priority);
+            if (!this._updateQueue.includes(item)) this._updateQueue.push(item);
+        }
+    }
+    /**
+     * Processes the most urgent batched updates.
+     * Updates are grouped by root: legacy roots and urgent updates are rendered synchronously,
+     * concurrent roots start a time-sliced render pass unless one is already in progress.
+     * Less urgent updates are left in the queue for a later batch.
+     * 
+     * @private
+     */
+    _processBatchedUpdates() {
+        if (this._isProcessingUpdates) return;
+        if (!this._workInProgress) this._flushEffects();
+        this._isProcessingUpdates = true;
+        this._isBatchingUpdates = false;
+        clearTimeout(this._batchTimeout);
+        try {
+            const queue = this._updateQueue;
+            const priority = Math.min(...queue.map(item => item._priority ?? UpdatePriority.Default));
+            this._updateQueue = queue.filter(item => (item._priority ?? UpdatePriority.Default) > priority);
+            const roots = new Map();
+            for (const item of queue) {
+                const root = item._root;
+                if (!root || (item._priority ?? UpdatePriority.Default) > priority) continue;
+                if (!roots.has(root)) roots.set(root, []);
+                roots.get(root).push(item);
+            }
+            for (const [root, items] of roots) {
+                const sync = root.mode !== 'concurrent' || priority === UpdatePriority.Urgent;
+                if (!sync && this._workInProgress) {
+                    this._updateQueue.push(...items);
+                    continue;
+                }
+                const pass = this._createPass(root, sync, priority, items.sort((a, b) => a._depth - b._depth));
+                if (!sync) this._workInProgress = pass;
+                try {
+                    this._workLoop(pass);
+                } catch (error) {
+                    ErrorSystem.handleError(
+                        new ComponentException(`Error updating component: ${error.message}`,
+                            { context: { root, error } })
+                    );
+                }
+            }
+        } catch (error) {
+            ErrorSystem.handleError(
+                new ValidationException(`Error processing batched updates: ${error.message}`,
+                    { context: { error } })
+            );
+        } finally {
+            this._isProcessingUpdates = false;
+            this._scheduleRemainingUpdates();
+        }
+    }
+    /**
+     * Schedules another batch if updates are still queued and no pass is in progress.
+     * 
+     * @private
+     */
+    _scheduleRemainingUpdates() {
+        if (this._updateQueue.length === 0 || this._workInProgress || this._isProcessingUpdates) return;
+        this._scheduleBatch(Math.min(...this._updateQueue.map(item => item._priority ?? UpdatePriority.Default)));
+    }
+    /**
+     * Creates a render pass: the state of one walk over the tree, from the first unit of work to the commit.
+     * 
+     * @param {Object} root - The root record being rendered
+     * @param {boolean} sync - Whether the pass runs to completion without yielding
+     * @param {number} priority - Priority of the pass; less urgent updates are skipped while rendering
+     * @param {Array<Object>} items - Components (or the root itself) to render, in processing order
+     * @returns {Object} The render pass
+     * @private
+     */
+    _createPass(root, sync, priority, items) {
+        const units = items.map(item => item === root ? { kind: 'root', root } : { kind: 'update', instance: item });
+        return {
+            root, sync, priority,
+            items: items.map(item => ({ item, priority: item._priority ?? priority })),
+            stack: units.reverse(),
+            snapshots: [], insertionEffects: [], mutations: [], refs: [], callbacks: [], layoutEffects: [], effects: [], rollbacks: [],
+            operations: { insertions: 0, moves: 0, removals: 0 }
+        };
+    }
+    /**
+     * Performs units of work until the pass is complete, then commits it.
+     * Non-sync passes yield back to the browser once their time slice is used up.
+     * 
+     * @param {Object} pass - The render pass
+     * @returns {boolean} True if the pass was committed, false if it yielded
+     * @private
+     */
+    _workLoop(pass) {
+        const previousPass = this._currentPass;
+        const deadline = this._now() + this._timeSlice;
+        this._currentPass = pass;
+        try {
+            while (pass.stack.length > 0) {
+                if (!pass.sync && this._now() >= deadline) {
+                    this._requestHostCallback(() => {
+                        if (this._workInProgress === pass) this._workLoop(pass);
+                    });
+                    return false;
+                }
+                this._performUnitOfWork(pass.stack.pop(), pass);
+            }
+        } finally {
+            this._currentPass = previousPass;
+        }
+        this._commitRoot(pass);
+        return true;
+    }
+    /**
+     * Returns a high resolution timestamp used to measure time slices.
+     * 
+     * @returns {number} Current time in milliseconds
+     * @private
+     */
+    _now() {
+        return typeof performance !== 'undefined' && typeof performance.now === 'function'
+            ? performance.now()
+            : Date.now();
+    }
+    /**
+     * Schedules a callback as a macrotask so the browser gets a chance to paint and handle input.
+     * 
+     * @param {Function} callback - The callback to run
+     * @private
+     */
+    _requestHostCallback(callback) {
+        if (typeof setImmediate === 'function') {
+            setImmediate(callback);
+        } else if (typeof MessageChannel !== 'undefined') {
+            if (!this._hostChannel) {
+                this._hostChannel = new MessageChannel();
+                this._hostChannel.port1.onmessage = () => {
+                    for (const hostCallback of this._hostCallbacks.splice(0)) hostCallback();
+                };
+            }
+            this._hostCallbacks.push(callback);
+            if (this._hostCallbacks.length === 1) this._hostChannel.port2.postMessage(null);
+        } else {
+            setTimeout(callback, 0);
+        }
+    }
+    /**
+     * Performs a single unit of work.
+     * 
+     * @param {Object} unit - The unit of work
+     * @param {Object} pass - The render pass
+     * @private
+     */
+    _performUnitOfWork(unit, pass) {
+        try {
+            switch (unit.kind) {
+                case 'root': this._beginRoot(unit, pass); break;
+                case 'update': this._beginUpdate(unit, pass); break;
+                case 'complete': unit.complete(); break;
+                default: this._beginWork(unit, pass);
+            }
+        } catch (error) {
+            ErrorSystem.handleError(
+                error instanceof Exception ? error : new RenderException(`Error in reconciliation: ${error.message}`,
+                    { context: { unit, error } })
+            );
+        }
+    }
+    /**
+     * Pushes a completion step that runs once every unit pushed after it has been performed.
+     * 
+     * @param {Object} pass - The render pass
+     * @param {Function} complete - The completion step
+     * @private
+     */
+    _pushComplete(pass, complete) {
+        pass.stack.push({ kind: 'complete', complete });
+    }
+    /**
+     * Begins rendering the pending element of a root.
+     * 
+     * @param {Object} unit - The unit of work
+     * @param {Object} pass - The render pass
+     * @private
+     */
+    _beginRoot(unit, pass) {
+        const root = unit.root;
+        const container = root.container;
+        const oldVNode = root.current;
+        const element = this._prepareChild(this._normalizeRendered(root.pendingElement), oldVNode);
+        const cursor = root.hydrate && !oldVNode ? { node: container.firstChild, replaced: new Set() } : null;
+        element._treeId = '0';
+        root._dirty = false;
+        if (cursor) {
+            root.hydrate = false;
+            this.onCommit(null, () => { root.hydrate = true; });
+        }
+        if (!oldVNode && !cursor) {
+            pass.mutations.push(() => {
+                if (typeof container.innerHTML === 'string') container.innerHTML = '';
+            });
+        }
+        this._pushComplete(pass, () => {
+            const domNodes = this._collectDOM(element);
+            if (cursor) this._removeUnclaimed(pass, container, domNodes, cursor, null);
+            pass.mutations.push(() => {
+                root.current = element;
+                this._placeNodes(container, domNodes, null, pass);
+            });
+        });
+        pass.stack.push({ kind: 'begin', vnode: element, oldVNode, parentDom: container, owner: null, cursor });
+    }
+    /**
+     * Begins re-rendering a component whose state changed.
+     * The component's DOM range is replaced in place once its subtree has been reconciled.
+     * 
+     * @param {Object} unit - The unit of work
+     * @param {Object} pass - The render pass
+     * @private
+     */
+    _beginUpdate(unit, pass) {
+        const instance = unit.instance;
+        if (!instance._dirty || !instance._isMounted) return;
+        const vnode = instance._currentVNode;
+        const oldRendered = vnode._rendered;
+        const firstNode = this._firstDOM(vnode);
+        const parentDom = firstNode && firstNode.parentNode;
+        if (!parentDom) {
+            instance._dirty = false;
+            return;
+        }
+        const prevProps = instance.props;
+        const prevState = instance.state;
+        let rendered;
+        let owner = instance;
+        let failed = false;
+        let snapshot = null;
+        try {
+            if (instance instanceof Component) {
+                this._prepareClassComponent(instance, pass.priority);
+                if (!this._shouldComponentUpdate(instance, prevProps, prevState)) {
+                    this._finishRender(instance);
+                    pass.callbacks.push(() => instance._flushCallbacks());
+                    return;
+                }
+                snapshot = this._scheduleSnapshot(pass, instance, prevProps, prevState);
+            }
+            rendered = this._renderComponent(instance, false, pass.priority);
+        } catch (error) {
+            ({ vnode: rendered, owner } = this._captureError(error, vnode, instance._parentComponent));
+            failed = true;
+        }
+        rendered = this._prepareChild(this._normalizeRendered(rendered), oldRendered);
+        rendered._treeId = failed ? vnode._treeId : getOutputTreeId(instance);
+        const anchor = { node: null };
+        pass.mutations.push(() => {
+            const nodes = this._collectDOM(vnode);
+            anchor.node = nodes.length > 0 ? nodes[nodes.length - 1].nextSibling : null;
+        });
+        this._pushComplete(pass, () => {
+            pass.mutations.push(() => {
+                if (!instance._isMounted) return;
+                vnode._rendered = rendered;
+                this._placeNodes(parentDom, this._collectDOM(vnode), anchor.node, pass);
+            });
+            this._collectEffects(pass, instance);
+            pass.callbacks.push(() => {
+                if (instance._isMounted) this._commitComponent(vnode, instance, false, failed, prevProps, prevState, snapshot);
+            });
+        });
+        pass.stack.push({ kind: 'begin', vnode: rendered, oldVNode: oldRendered, parentDom, owner });
+    }
+    /**
+     * Begins reconciling a virtual element against the element previously rendered in its place.
+     * 
+     * @param {Object} unit - The unit of work ({ vnode, oldVNode, parentDom, owner })
+     * @param {Object} pass - The render pass
+     * @private
+     */
+    _beginWork(unit, pass) {
+        const vnode = unit.vnode;
+        if (vnode === unit.oldVNode) return;
+        if (unit.oldVNode && !this._canReuse(unit.oldVNode, vnode)) {
+            this._scheduleDeletion(pass, unit.oldVNode);
+            unit.oldVNode = null;
+        }
+        if (vnode instanceof TextElement || vnode instanceof CommentElement) this._beginText(unit, pass);
+        else if (vnode.type === Symbol.for('littedom.fragment')) this._beginFragment(unit, pass);
+        else if (vnode.type === Symbol.for('littedom.portal')) this._beginPortal(unit, pass);
+        else if (typeof vnode.type === 'function') this._beginComponent(unit, pass);
+        else this._beginHost(unit, pass);
+    }
+    /**
+     * Begins work on a text or comment node.
+     * 
+     * @param {Object} unit - The unit of work
+     * @param {Object} pass - The render pass
+     * @private
+     */
+    _beginText(unit, pass) {
+        const { vnode, oldVNode } = unit;
+        if (!oldVNode && unit.cursor && this._hydrateText(unit, pass)) return;
+        if (!oldVNode) {
+            vnode._dom = vnode.renderDOMElement();
+            return;
+        }
+        const domNode = vnode._dom = oldVNode._dom;
+        pass.mutations.push(() => {
+            if (domNode.nodeValue !== vnode.value) domNode.nodeValue = vnode.value;
+            domNode._vnode = vnode;
+        });
+    }
+    /**
+     * Begins work on a fragment. A fragment owns the range of sibling nodes between a start and
+     * an end comment marker, so components rendering several nodes (or none) can always be
+     * located, updated, moved and removed. When hydrating, the markers written by the server are reused.
+     * 
+     * @param {Object} unit - The unit of work
+     * @param {Object} pass - The render pass
+     * @private
+     */
+    _beginFragment(unit, pass) {
+        const { vnode, oldVNode } = unit;
+        const cursor = unit.cursor;
+        if (oldVNode) {
+            vnode._start = oldVNode._start;
+            vnode._end = oldVNode._end;
+        } else {
+            const start = cursor ? this._claimNode(cursor, node => node.nodeType === 8 && node.data === '[') : null;
+            vnode._start = start || document.createComment('[');
+            vnode._end = document.createComment(']');
+            if (start) {
+                this._pushComplete(pass, () => {
+                    vnode._end = this._claimNode(cursor, node => node.nodeType === 8 && node.data === ']') || vnode._end;
+                });
+            }
+        }
+        this._reconcileChildren(pass, vnode, oldVNode, unit.parentDom, unit.owner, cursor);
+    }
+    /**
+     * Begins work on a DOM element. New elements are built detached from the document;
+     * existing ones record prop updates and child placement as mutations. When hydrating, the
+     * matching server-rendered element is adopted, and a mismatched one is replaced by a client render.
+     * 
+     * @param {Object} unit - The unit of work
+     * @param {Object} pass - The render pass
+     * @private
+     */
+    _beginHost(unit, pass) {
+        const { vnode, oldVNode } = unit;
+        let innerHTML;
+        try {
+            innerHTML = this.getInnerHTML(vnode);
+        } catch (error) {
+            if (oldVNode) this._scheduleDeletion(pass, oldVNode);
+            unit.oldVNode = null;
+            this._beginFallback(unit, pass, error);
+            return;
+        }
+        if (!oldVNode && unit.cursor) {
+            const domNode = this._claimNode(unit.cursor, node => node.nodeType === 1 &&
+                (node.localName === vnode.type || node.localName === String(vnode.type).toLowerCase()));
+            if (domNode) {
+                this._hydrateHost(unit, pass, domNode, innerHTML);
+                return;
+            }
+            let mismatched = unit.cursor.node;
+            while (mismatched && this._isIgnorableNode(mismatched)) mismatched = mismatched.nextSibling;
+            this._reportMismatch(unit, `Expected <${vnode.type}> but found ${this._describeNode(mismatched)}`);
+            if (mismatched && mismatched.nodeType === 1) {
+                unit.cursor.replaced.add(mismatched);
+                unit.cursor.node = mismatched.nextSibling;
+            }
+        }
+        if (oldVNode) {
+            const domNode = vnode._dom = oldVNode._dom;
+            const oldInnerHTML = oldVNode._innerHTML;
+            pass.mutations.push(() => {
+                this._updateProps(domNode, oldVNode.props, vnode.props);
+                domNode._vnode = vnode;
+            });
+            if (oldVNode.props.ref !== vnode.props.ref) {
+                pass.refs.push(() => this._updateRefs(domNode, oldVNode.props.ref, vnode.props.ref));
+            }
+            if (innerHTML == null && oldInnerHTML != null) pass.mutations.push(() => { domNode.innerHTML = ''; });
+            this._pushComplete(pass, () => {
+                pass.mutations.push(() => {
+                    if (innerHTML != null && innerHTML !== oldInnerHTML) domNode.innerHTML = innerHTML;
+                    this._placeNodes(domNode, this._collectChildDOM(vnode), null, pass);
+                    if (vnode.type === 'select') updateFormControl(domNode, vnode.props, false);
+                });
+            });
+        } else {
+            let domNode;
+            try {
+                domNode = vnode.renderDOMElement(getElementNamespace(vnode.type, unit.parentDom));
+            } catch (error) {
+                this._beginFallback(unit, pass, error);
+                return;
+            }
+            vnode._dom = domNode;
+            if (vnode.props.ref) pass.refs.push(() => this._updateRefs(domNode, null, vnode.props.ref));
+            this._pushComplete(pass, () => {
+                if (innerHTML != null) domNode.innerHTML = innerHTML;
+                this._placeNodes(domNode, this._collectChildDOM(vnode), null, pass);
+                if (vnode.type === 'select') updateFormControl(domNode, vnode.props, true);
+            });
+        }
+        vnode._innerHTML = innerHTML;
+        if (innerHTML != null) {
+            if (oldVNode) for (const child of oldVNode._children || []) this._scheduleDeletion(pass, child);
+            vnode._children = [];
+            return;
+        }
+        this._reconcileChildren(pass, vnode, oldVNode, vnode._dom, unit.owner);
+    }
+    /**
+     * Adopts a server-rendered element while hydrating: attaches the element's bookkeeping and event
+     * handlers, patches mismatched attributes and styles and hydrates its children against the element's child nodes.
+     * Like any other DOM change, the bookkeeping and the handlers are only applied when the pass is committed.
+     * 
+     * @param {Object} unit - The unit of work
+     * @param {Object} pass - The render pass
+     * @param {Element} domNode - The server-rendered element
+     * @param {string|null} innerHTML - The dangerouslySetInnerHTML content of the element
+     * @private
+     */
+    _hydrateHost(unit, pass, domNode, innerHTML) {
+        const vnode = unit.vnode;
+        vnode._dom = domNode;
+        vnode._innerHTML = innerHTML;
+        const handlers = [];
+        const patches = [];
+        for (const [key, value] of Object.entries(vnode.props)) {
+            if (ReservedProps.has(key)) continue;
+            if (key.startsWith('on') && typeof value === 'function') {
+                handlers.push([key, value]);
+                continue;
+            }
+            if (key === 'style' && value && typeof value === 'object') {
+                const expected = serializeStyle(value) || null;
+                const actual = (domNode.getAttribute('style') || '').replace(/\s*([:;])\s*/g, '$1').replace(/;$/, '') || null;
+                if (expected === actual) continue;
+                this._reportMismatch(unit, `Attribute style of <${vnode.type}> is ${JSON.stringify(actual)} ` +
+                    `on the server but ${JSON.stringify(expected)} on the client`);
+                pass.mutations.push(() => {
+                    domNode.removeAttribute('style');
+                    this._updateStyles(domNode.style, {}, value);
+                });
+                continue;
+            }
+            const { attributeName, type } = getPropertyInfo(key);
+            if (type !== PropertyType.Property) {
+                const expected = getAttributeValue(key, value);
+                const actual = getDOMAttribute(domNode, attributeName);
+                if (expected === actual) continue;
+                this._reportMismatch(unit, `Attribute ${attributeName} of <${vnode.type}> is ${JSON.stringify(actual)} ` +
+                    `on the server but ${JSON.stringify(expected)} on the client`);
+            }
+            patches.push([key, value]);
+        }
+        pass.mutations.push(() => {
+            domNode._vnode = vnode;
+            handlers.forEach(([key, value]) => EventSystem.registerEvent(domNode, key, value));
+        });
+        if (patches.length > 0) pass.mutations.push(() => patches.forEach(([key, value]) => setDOMProperty(domNode, key, value)));
+        if (vnode.props.ref) pass.refs.push(() => this._updateRefs(domNode, null, vnode.props.ref));
+        if (innerHTML != null) {
+            vnode._children = [];
+            return;
+        }
+        const cursor = { node: domNode.firstChild, replaced: new Set() };
+        this._pushComplete(pass, () => {
+            const childNodes = this._collectChildDOM(vnode);
+            this._removeUnclaimed(pass, domNode, childNodes, cursor, unit);
+            pass.mutations.push(() => {
+                this._placeNodes(domNode, childNodes, null, pass);
+                if (vnode.type === 'select') updateFormControl(domNode, vnode.props, true);
+            });
+        });
+        this._reconcileChildren(pass, vnode, null, domNode, unit.owner, cursor);
+    }
+    /**
+     * Adopts a server-rendered text node while hydrating. Adjacent text children that the server
+     * merged into one node are split apart; a text mismatch is reported and patched.
+     * 
+     * @param {Object} unit - The unit of work
+     * @param {Object} pass - The render pass
+     * @returns {boolean} True if a server-rendered node was adopted
+     * @private
+     */
+    _hydrateText(unit, pass) {
+        const vnode = unit.vnode;
+        if (vnode instanceof CommentElement) {
+            const commentNode = this._claimNode(unit.cursor, node => node.nodeType === 8 && node.data !== '[' && node.data !== ']');
+            if (!commentNode) return false;
+            vnode._dom = commentNode;
+            pass.mutations.push(() => { commentNode._vnode = vnode; });
+            return true;
+        }
+        if (vnode.value === '') return false;
+        const textNode = this._claimNode(unit.cursor, node => node.nodeType === 3);
+        if (!textNode) {
+            this._reportMismatch(unit, `Expected text ${JSON.stringify(vnode.value)} but found ${this._describeNode(unit.cursor.node)}`);
+            return false;
+        }
+        if (textNode.data !== vnode.value && textNode.data.startsWith(vnode.value)) {
+            // The split is needed to hydrate the next children, so it is undone if the pass is thrown away
+            const rest = unit.cursor.node = textNode.splitText(vnode.value.length);
+            this.onCommit(null, () => {
+                textNode.appendData(rest.data);
+                rest.remove();
+            });
+        } else if (textNode.data !== vnode.value) {
+            this._reportMismatch(unit, `Text content is ${JSON.stringify(textNode.data)} on the server ` +
+                `but ${JSON.stringify(vnode.value)} on the client`);
+            pass.mutations.push(() => { textNode.nodeValue = vnode.value; });
+        }
+        vnode._dom = textNode;
+        pass.mutations.push(() => { textNode._vnode = vnode; });
+        return true;
+    }
+    /**
+     * Claims the next server-rendered node of a hydration cursor if it matches, skipping
+     * whitespace-only text and comment nodes that do not.
+     * 
+     * @param {Object} cursor - The hydration cursor ({ node, replaced })
+     * @param {Function} matches - Predicate the node must satisfy
+     * @returns {Node|null} The claimed node, or null if the next node does not match
+     * @private
+     */
+    _claimNode(cursor, matches) {
+        let node = cursor.node;
+        while (node && !matches(node) && this._isIgnorableNode(node)) node = node.nextSibling;
+        if (!node || !matches(node)) return null;
+        cursor.node = node.nextSibling;
+        return node;
+    }
+    /**
+     * Checks if a server-rendered node can be skipped while hydrating (whitespace and text separators).
+     * 
+     * @param {Node} node - The node
+     * @returns {boolean} True if the node carries no content
+     * @private
+     */
+    _isIgnorableNode(node) {
+        if (node.nodeType === 3) return !/\S/.test(node.data);
+        return node.nodeType === 8 && node.data !== '[' && node.data !== ']';
+    }
+    /**
+     * Records the removal of the server-rendered nodes of a parent that were not adopted while
+     * hydrating. Nodes with content are reported as mismatches, unless they were already
+     * reported and replaced by a client render.
+     * 
+     * @param {Object} pass - The render pass
+     * @param {Node} parentDom - The parent DOM node
+     * @param {Array<Node>} domNodes - The nodes rendered by the client
+     * @param {Object} cursor - The hydration cursor of the parent
+     * @param {Object} [unit] - The unit of work of the parent, for error reporting
+     * @private
+     */
+    _removeUnclaimed(pass, parentDom, domNodes, cursor, unit) {
+        const claimed = new Set(domNodes);
+        const unclaimed = [...parentDom.childNodes].filter(node => !claimed.has(node));
+        for (const node of unclaimed) {
+            if (!cursor.replaced.has(node) && !this._isIgnorableNode(node)) {
+                this._reportMismatch(unit, `Extra ${this._describeNode(node)} rendered by the server was removed`);
+            }
+        }
+        if (unclaimed.length > 0) {
+            pass.mutations.push(() => unclaimed.forEach(node => {
+                if (node.parentNode === parentDom) parentDom.removeChild(node);
+            }));
+        }
+    }
+    /**
+     * Reports a hydration mismatch as a recoverable error, with the path of components leading to it.
+     * 
+     * @param {Object} [unit] - The unit of work where the mismatch was found
+     * @param {string} message - Description of the mismatch
+     * @private
+     */
+    _reportMismatch(unit, message) {
+        const componentPath = this._getComponentPath(unit ? unit.owner : null);
+        ErrorSystem.handleError(new RenderException(`Hydration mismatch in ${componentPath || 'root'}: ${message}`, {
+            code: 'ERR_HYDRATION_MISMATCH',
+            severity: 'warning',
+            context: { componentPath, element: unit ? unit.vnode.type : null }
+        }));
+    }
+    /**
+     * Returns the names of the components from the root down to a component, e.g. "App > Layout > Header".
+     * 
+     * @param {Component|Object} [component] - The innermost component
+     * @returns {string} The component path
+     * @private
+     */
+    _getComponentPath(component) {
+        const names = [];
+        for (let current = component; current; current = current._parentComponent) {
+            const type = current instanceof Component ? current.constructor : current._currentVNode?.type;
+            names.unshift(type?.displayName || type?.name || 'Anonymous');
+        }
+        return names.join(' > ');
+    }
+    /**
+     * Describes a DOM node for hydration error messages.
+     * 
+     * @param {Node} [node] - The node
+     * @returns {string} The description
+     * @private
+     */
+    _describeNode(node) {
+        if (!node) return 'nothing';
+        if (node.nodeType === 1) return `<${node.localName}>`;
+        if (node.nodeType === 3) return `text ${JSON.stringify(node.data)}`;
+        return `comment <!--${node.data}-->`;
+    }
+    /**
+     * Begins work on a portal. A comment node is left in place of the portal and its children
+     * are reconciled into the portal container, right before an anchor comment that marks the end
+     * of the portal's range, so several portals can share one container.
+     * 
+     * @param {Object} unit - The unit of work
+     * @param {Object} pass - The render pass
+     * @private
+     */
+    _beginPortal(unit, pass) {
+        const { vnode, oldVNode } = unit;
+        const container = vnode.containerInfo;
+        if (oldVNode) {
+            vnode._dom = oldVNode._dom;
+            vnode._anchor = oldVNode._anchor;
+        } else {
+            vnode._dom = document.createComment('portal');
+            vnode._anchor = document.createComment('/portal');
+            vnode._dom._vnode = vnode;
+        }
+        this._pushComplete(pass, () => {
+            pass.mutations.push(() => {
+                if (!oldVNode) EventSystem.listenToPortal(container);
+                if (vnode._anchor.parentNode !== container) this._placeNodes(container, [vnode._anchor], null, pass);
+                const childNodes = this._collectChildDOM(vnode);
+                for (const childNode of childNodes) childNode._portalHost = vnode._dom;
+                this._placeNodes(container, childNodes, vnode._anchor, pass);
+            });
+        });
+        this._reconcileChildren(pass, vnode, oldVNode, container, unit.owner);
+    }
+    /**
+     * Begins work on a class or functional component: creates or reuses its instance,
+     * renders it and schedules the reconciliation of its output.
+     * 
+     * @param {Object} unit - The unit of work
+     * @param {Object} pass - The render pass
+     * @private
+     */
+    _beginComponent(unit, pass) {
+        const { vnode, oldVNode, owner } = unit;
+        const props = getComponentProps(vnode);
+        let instance = oldVNode ? oldVNode._instance : null;
+        const isNew = !instance;
+        const prevProps = instance ? instance.props : null;
+        const prevState = instance ? instance.state : null;
+        let rendered;
+        let snapshot = null;
+        try {
+            if (isNew) {
+                instance = vnode.createComponentInstance(props, owner);
+                instance._ref = vnode.props.ref || null;
+                instance._treeId = vnode._treeId;
+                instance._root = pass.root;
+                instance._depth = owner ? owner._depth + 1 : 0;
+                if (instance instanceof Component) this._prepareClassComponent(instance, pass.priority);
+            } else {
+                const prevRef = instance._ref;
+                instance.props = props;
+                instance._ref = vnode.props.ref || null;
+                this.onCommit(null, () => {
+                    instance.props = prevProps;
+                    instance._ref = prevRef;
+                });
+                if (instance instanceof Component) {
+                    this._prepareClassComponent(instance, pass.priority);
+                    if (!this._shouldComponentUpdate(instance, prevProps, prevState)) {
+                        this._bailoutComponent(unit, pass, instance);
+                        return;
+                    }
+                    snapshot = this._scheduleSnapshot(pass, instance, prevProps, prevState);
+                }
+            }
+            rendered = this._renderComponent(instance, true, pass.priority);
+        } catch (error) {
+            if (!isNew) vnode._instance = instance;
+            this._beginFallback(unit, pass, error);
+            if (!isNew) {
+                this._pushComplete(pass, () => {
+                    pass.callbacks.push(() => this._commitComponent(vnode, instance, false, true));
+                });
+            }
+            return;
+        }
+        vnode._instance = instance;
+        vnode._rendered = this._prepareChild(this._normalizeRendered(rendered), oldVNode ? oldVNode._rendered : null);
+        vnode._rendered._treeId = getOutputTreeId(instance);
+        this._pushComplete(pass, () => {
+            this._collectEffects(pass, instance);
+            this._scheduleComponentRef(pass, instance, oldVNode, vnode);
+            pass.callbacks.push(() => this._commitComponent(vnode, instance, isNew, false, prevProps, prevState, snapshot));
+        });
+        pass.stack.push({
+            kind: 'begin', vnode: vnode._rendered, oldVNode: oldVNode ? oldVNode._rendered : null,
+            parentDom: unit.parentDom, owner: instance, cursor: unit.cursor
+        });
+    }
+    /**
+     * Moves the effects a component scheduled while rendering into the pass, by commit phase.
+     * Called when the component's subtree is complete, so the effects of children come before
+     * their parent's.
+     * 
+     * @param {Object} pass - The render pass
+     * @param {Component|Object} instance - The component instance
+     * @private
+     */
+    _collectEffects(pass, instance) {
+        if (!instance._pendingEffects) return;
+        for (const effect of instance._pendingEffects.splice(0)) {
+            if (effect.phase === 'insertion') pass.insertionEffects.push(effect);
+            else if (effect.phase === 'layout') pass.layoutEffects.push(effect);
+            else pass.effects.push(effect);
+        }
+    }
+    /**
+     * Brings a class component up to date before it renders: reads its static contextType and
+     * applies its pending state updates and static getDerivedStateFromProps.
+     * 
+     * @param {Component} instance - The component instance
+     * @param {number} priority - Priority of the render pass
+     * @private
+     */
+    _prepareClassComponent(instance, priority) {
+        const contextType = instance.constructor.contextType;
+        if (contextType instanceof Context) {
+            const prevContext = instance.context;
+            instance.context = contextType._read(instance);
+            this.onCommit(null, () => { instance.context = prevContext; });
+        }
+        instance._commitState(priority);
+    }
+    /**
+     * Asks a class component whether it should re-render with its next props and state.
+     * shouldComponentUpdate sees the current props and state on the instance, as in React.
+     * forceUpdate and context changes always re-render.
+     * 
+     * @param {Component} instance - The component instance, holding its next props and state
+     * @param {Object} prevProps - Props before the update
+     * @param {Object} prevState - State before the update
+     * @returns {boolean} True if the component should re-render
+     * @private
+     */
+    _shouldComponentUpdate(instance, prevProps, prevState) {
+        if (instance._forcedUpdate || instance._contextChanged || typeof instance.shouldComponentUpdate !== 'function') return true;
+        const nextProps = instance.props;
+        const nextState = instance.state;
+        instance.props = prevProps;
+        instance.state = prevState;
+        try {
+            return instance.shouldComponentUpdate(nextProps, nextState) !== false;
+        } finally {
+            instance.props = nextProps;
+            instance.state = nextState;
+        }
+    }
+    /**
+     * Skips re-rendering a class component whose shouldComponentUpdate returned false: the
+     * element keeps the subtree rendered before, and the new props and state are kept.
+     * 
+     * @param {Object} unit - The unit of work
+     * @param {Object} pass - The render pass
+     * @param {Component} instance - The component instance
+     * @private
+     */
+    _bailoutComponent(unit, pass, instance) {
+        const { vnode, oldVNode } = unit;
+        vnode._instance = instance;
+        vnode._rendered = oldVNode._rendered;
+        this._finishRender(instance);
+        this._scheduleComponentRef(pass, instance, oldVNode, vnode);
+        pass.callbacks.push(() => {
+            instance._currentVNode = vnode;
+            instance._flushCallbacks();
+        });
+    }
+    /**
+     * Registers the attachment of a class component's ref to its instance when the ref is new or
+     * has changed. Function components have no instance: their ref only reaches them through forwardRef.
+     * 
+     * @param {Object} pass - The render pass
+     * @param {Component|Object} instance - The component instance
+     * @param {VirtualElement|null} oldVNode - The element rendered before
+     * @param {VirtualElement} vnode - The element being rendered
+     * @private
+     */
+    _scheduleComponentRef(pass, instance, oldVNode, vnode) {
+        if (!(instance instanceof Component)) return;
+        const oldRef = oldVNode ? oldVNode.props.ref : null;
+        const newRef = vnode.props.ref;
+        if (oldRef !== newRef) pass.refs.push(() => this._updateRefs(instance, oldRef, newRef));
+    }
+    /**
+     * Registers the call to getSnapshotBeforeUpdate of a class component, which runs when the
+     * pass is committed, before the DOM is mutated.
+     * 
+     * @param {Object} pass - The render pass
+     * @param {Component} instance - The component instance
+     * @param {Object} prevProps - Props before the update
+     * @param {Object} prevState - State before the update
+     * @returns {Object|null} Holder whose value is set to the snapshot, or null if the method is not defined
+     * @private
+     */
+    _scheduleSnapshot(pass, instance, prevProps, prevState) {
+        if (typeof instance.getSnapshotBeforeUpdate !== 'function') return null;
+        const snapshot = { value: undefined };
+        pass.snapshots.push(() => { snapshot.value = instance.getSnapshotBeforeUpdate(prevProps, prevState); });
+        return snapshot;
+    }
+    /**
+     * Renders the fallback UI for an element that failed to render and reconciles it in the element's place.
+     * 
+     * @param {Object} unit - The unit of work that failed
+     * @param {Object} pass - The render pass
+     * @param {Error} error - The error that was thrown
+     * @private
+     */
+    _beginFallback(unit, pass, error) {
+        const { vnode, owner } = this._captureError(error, unit.vnode, unit.owner);
+        const oldRendered = unit.oldVNode ? unit.oldVNode._rendered : null;
+        unit.vnode._rendered = this._prepareChild(this._normalizeRendered(vnode), oldRendered);
+        unit.vnode._rendered._treeId = unit.vnode._treeId;
+        pass.stack.push({
+            kind: 'begin', vnode: unit.vnode._rendered, oldVNode: oldRendered,
+            parentDom: unit.parentDom, owner, cursor: unit.cursor
+        });
+    }
+    /**
+     * Runs the render method of a component instance.
+     * 
+     * @param {Component|Object} instance - The component instance
+     * @param {boolean} fromParent - Whether the render was triggered by the parent rather than by a state change
+     * @param {number} [priority] - Priority of the render pass; less urgent updates are skipped and rescheduled
+     * @returns {*} Whatever the component rendered
+     * @private
+     */
+    _renderComponent(instance, fromParent, priority = UpdatePriority.Default) {
+        instance._renderInProgress = true;
+        if (instance._pendingEffects) instance._pendingEffects = [];
+        HooksContext.renderPriority = priority;
+        try {
+            if (instance instanceof Component) {
+                if (instance._hasError && instance.state._reset) {
+                    instance._hasError = null;
+                    instance._errorInfo = null;
+                    delete instance.state._reset;
+                }
+                return instance._hasError && fromParent ? instance.renderError() : instance.render();
+            }
+            return instance.render();
+        } finally {
+            HooksContext.setCurrentComponent(null);
+            instance._renderInProgress = false;
+            this._finishRender(instance);
+        }
+    }
+    /**
+     * Clears the update flags of a component that rendered (or bailed out of rendering) and
+     * reschedules the updates that were skipped because of their priority.
+     * 
+     * @param {Component|Object} instance - The component instance
+     * @private
+     */
+    _finishRender(instance) {
+        instance._dirty = false;
+        instance._forcedUpdate = false;
+        instance._contextChanged = false;
+        instance._priority = undefined;
+        const skippedPriority = instance._skippedPriority;
+        instance._skippedPriority = undefined;
+        if (skippedPriority !== undefined) {
+            this.onCommit(() => {
+                if (instance._isMounted) this.scheduleUpdate(instance, skippedPriority);
+            });
+        }
+    }
+    /**
+     * Commits a rendered component: updates its bookkeeping and runs its lifecycle methods.
+     * 
+     * @param {VirtualElement} vnode - The component element
+     * @param {Component|Object} instance - The component instance
+     * @param {boolean} isNew - Whether the component was mounted in this pass
+     * @param {boolean} failed - Whether the component rendered its error fallback
+     * @param {Object} [prevProps] - Props before the update
+     * @param {Object} [prevState] - State before the update
+     * @param {Object} [snapshot] - Holder of the value returned by getSnapshotBeforeUpdate
+     * @private
+     */
+    _commitComponent(vnode, instance, isNew, failed, prevProps, prevState, snapshot) {
+        instance._currentVNode = vnode;
+        instance._currentDOMNode = this._firstDOM(vnode);
+        if (isNew) instance._isMounted = true;
+        if (!(instance instanceof Component)) return;
+        try {
+            if (isNew) instance.componentDidMount();
+            else if (!failed && !instance._hasError) instance.componentDidUpdate(prevProps, prevState, snapshot ? snapshot.value : undefined);
+        } finally {
+            instance._flushCallbacks();
+        }
+    }
+    /**
+     * Finds the nearest error boundary for an error and returns the UI to render instead of the failed element.
+     * 
+     * @param {Error} error - The error that was thrown
+     * @param {VirtualElement} vnode - The element that failed to render
+     * @param {Component} owner - The component that rendered the failed element
+     * @returns {Object} The fallback element and the component that owns it ({ vnode, owner })
+     * @private
+     */
+    _captureError(error, vnode, owner) {
+        const componentName = vnode.type?.displayName || vnode.type?.name ||
+            (typeof vnode.type === 'string' ? vnode.type : 'Unknown');
+        const errorInfo = { componentName, componentStack: error.stack };
+        let boundary = owner;
+        while (boundary) {
+            const getDerivedStateFromError = boundary.constructor.getDerivedStateFromError;
+            if (boundary instanceof Component && typeof getDerivedStateFromError === 'function') {
+                let derivedState;
+                try {
+                    derivedState = getDerivedStateFromError(error);
+                } catch (rethrown) {
+                    boundary = boundary._parentComponent;
+                    continue;
+                }
+                this._scheduleErrorRecovery(boundary, derivedState, error, errorInfo);
+                return { vnode: new CommentElement('error'), owner: boundary };
+            }
+            if (this._isErrorBoundary(boundary)) {
+                boundary._hasError = error;
+                boundary._errorInfo = errorInfo;
+                if (boundary.componentDidCatch(error, errorInfo)) {
+                    return {
+                        vnode: typeof boundary.renderError === 'function' ? boundary.renderError() : null,
+                        owner: boundary
+                    };
+                }
+            }
+            boundary = boundary._parentComponent;
+        }
+        ErrorSystem.handleError(
+            error instanceof Exception ? error : new ComponentException(
+                `Error in component ${componentName}: ${error.message}`,
+                { context: { error, props: vnode.props } }
+            )
+        );
+        return {
+            vnode: new VirtualElement('div', {
+                'data-error': 'true',
+                style: { color: 'red', padding: '10px', border: '1px solid red' }
+            }, new VirtualElement('h4', {}, `Error in component ${componentName}`), new VirtualElement('p', {}, error.message)),
+            owner
+        };
+    }
+    /**
+     * Re-renders an error boundary with the state returned by its getDerivedStateFromError, as an
+     * urgent update right after the pass that failed is committed, and calls its componentDidCatch.
+     * Until then, the failed element renders nothing.
+     * 
+     * @param {Component} boundary - The error boundary
+     * @param {Object} derivedState - The state returned by getDerivedStateFromError
+     * @param {Error} error - The error that was thrown
+     * @param {Object} errorInfo - Information about the error ({ componentName, componentStack })
+     * @private
+     */
+    _scheduleErrorRecovery(boundary, derivedState, error, errorInfo) {
+        this.onCommit(() => {
+            boundary._pendingUpdates.push({ partialState: derivedState, callback: null, priority: UpdatePriority.Urgent });
+            this.scheduleUpdate(boundary, UpdatePriority.Urgent);
+            if (boundary.isErrorBoundary()) boundary.componentDidCatch(error, errorInfo);
+        });
+    }
+    /**
+     * Checks if a component (class instance or functional hooks holder) is an error boundary.
+     * 
+     * @param {Component|Object} component - The component
+     * @returns {boolean} True if the component can catch errors
+     * @private
+     */
+    _isErrorBoundary(component) {
+        if (typeof component.isErrorBoundary === 'function') return component.isErrorBoundary();
+        return component._isErrorBoundary === true && typeof component.componentDidCatch === 'function';
+    }
+    /**
+     * Reconciles the children of an element or fragment: matches new children with old ones by key,
+     * and unkeyed children with the unkeyed old ones in order, schedules the removal of unmatched
+     * old children and pushes a unit of work for every new child. Moving the matched DOM nodes
+     * into their new order is left to _placeNodes when the parent completes.
+     * 
+     * @param {Object} pass - The render pass
+     * @param {VirtualElement} vnode - The element whose children are reconciled
+     * @param {VirtualElement} [oldVNode] - The element previously rendered in its place
+     * @param {Node} parentDom - The DOM node the children are rendered into
+     * @param {Component} [parentComponent] - The parent component
+     * @param {Object} [cursor] - Hydration cursor over the server-rendered children, if hydrating
+     * @private
+     */
+    _reconcileChildren(pass, vnode, oldVNode, parentDom, parentComponent, cursor = null) {
+        const oldChildren = oldVNode && oldVNode._children ? oldVNode._children : [];
+        const keyedChildren = new Map();
+        const unkeyedChildren = [];
+        for (const child of oldChildren) {
+            if (child.key != null && !keyedChildren.has(child.key)) keyedChildren.set(child.key, child);
+            else unkeyedChildren.push(child);
+        }
+        let unkeyedIndex = 0;
+        const units = [];
+        const claimed = new Set();
+        const children = vnode.children || [];
+        vnode._children = children.map((child, index) => {
+            const newChild = this._normalizeRendered(child);
+            let existingChild = null;
+            if (newChild.key != null) {
+                existingChild = keyedChildren.get(newChild.key) || null;
+                if (existingChild && this._canReuse(existingChild, newChild)) keyedChildren.delete(newChild.key);
+                else existingChild = null;
+            } else if (unkeyedIndex < unkeyedChildren.length) {
+                const candidate = unkeyedChildren[unkeyedIndex];
+                if (this._canReuse(candidate, newChild)) {
+                    existingChild = candidate;
+                    unkeyedChildren[unkeyedIndex] = null;
+                }
+                unkeyedIndex++;
+            }
+            let preparedChild = this._prepareChild(newChild, existingChild);
+            // The same element object can be passed twice; every slot needs its own vnode
+            if (claimed.has(preparedChild)) preparedChild = preparedChild.clone();
+            claimed.add(preparedChild);
+            preparedChild._treeId = children.length > 1 ? `${vnode._treeId}-${index.toString(32)}` : vnode._treeId;
+            units.push({ kind: 'begin', vnode: preparedChild, oldVNode: existingChild, parentDom, owner: parentComponent, cursor });
+            return preparedChild;
+        });
+        for (const childToRemove of keyedChildren.values()) this._scheduleDeletion(pass, childToRemove);
+        for (const childToRemove of unkeyedChildren) {
+            if (childToRemove) this._scheduleDeletion(pass, childToRemove);
+        }
+        for (let i = units.length - 1; i >= 0; i--) pass.stack.push(units[i]);
+    }
+    /**
+     * Converts whatever a component rendered into a single virtual element.
+     * 
+     * @param {*} rendered - The rendered value
+     * @returns {VirtualElement} The normalized element
+     * @throws {RenderException} If the value cannot be rendered
+     * @private
+     */
+    _normalizeRendered(rendered) {
+        if (rendered == null || typeof rendered === 'boolean') return new CommentElement('empty component');
+        if (rendered instanceof VirtualElement) return rendered;
+        if (Array.isArray(rendered)) return new VirtualElement(Symbol.for('littedom.fragment'), {}, ...rendered);
+        if (typeof rendered === 'object') {
+            throw new RenderException('Rendered value is not a valid VirtualElement', { context: { rendered } });
+        }
+        return new TextElement(String(rendered));
+    }
+    /**
+     * Returns the element to reconcile in place of an old one. Elements that are already mounted
+     * somewhere else are copied, and unchanged component elements with pending updates are copied
+     * so that they are rendered again.
+     * 
+     * @param {VirtualElement} vnode - The new element
+     * @param {VirtualElement} [oldVNode] - The element previously rendered in its place
+     * @returns {VirtualElement} The element to reconcile
+     * @private
+     */
+    _prepareChild(vnode, oldVNode) {
+        if (vnode === oldVNode) return vnode._instance && vnode._instance._dirty ? vnode.clone() : vnode;
+        const isMounted = vnode._dom != null || vnode._rendered != null ||
+            vnode._instance != null || vnode._children != null || vnode._start != null;
+        return isMounted ? vnode.clone() : vnode;
+    }
+    /**
+     * Checks whether the DOM and component instances of an old element can be reused for a new one.
+     * 
+     * @param {VirtualElement} oldVNode - The old element
+     * @param {VirtualElement} vnode - The new element
+     * @returns {boolean} True if the old element can be updated in place
+     * @private
+     */
+    _canReuse(oldVNode, vnode) {
+        if (!oldVNode || !vnode || oldVNode.type !== vnode.type || oldVNode.key !== vnode.key) return false;
+        if (typeof vnode.type === 'function') return oldVNode._instance != null;
+        if (typeof vnode.type === 'string') return oldVNode._dom != null && oldVNode._rendered == null;
+        if (vnode.type === Symbol.for('littedom.portal')) return oldVNode.containerInfo === vnode.containerInfo;
+        return true;
+    }
+    /**
+     * Records the removal of an element: its components are unmounted and its DOM nodes
+     * removed when the pass is committed.
+     * 
+     * @param {Object} pass - The render pass
+     * @param {VirtualElement} vnode - The element to remove
+     * @private
+     */
+    _scheduleDeletion(pass, vnode) {
+        pass.mutations.push(() => {
+            const domNodes = this._collectDOM(vnode);
+            this._unmountVNode(vnode);
+            for (const domNode of domNodes) {
+                if (!domNode.parentNode) continue;
+                domNode.parentNode.removeChild(domNode);
+                pass.operations.removals++;
+            }
+        });
+    }
+    /**
+     * Collects the top-level DOM nodes an element renders to, in document order.
+     * 
+     * @param {VirtualElement} vnode - The element
+     * @param {Array<Node>} [domNodes] - Array to collect into
+     * @returns {Array<Node>} The DOM nodes
+     * @private
+     */
+    _collectDOM(vnode, domNodes = []) {
+        if (!vnode) return domNodes;
+        if (vnode._rendered != null) return this._collectDOM(vnode._rendered, domNodes);
+        if (vnode._dom) {
+            domNodes.push(vnode._dom);
+            return domNodes;
+        }
+        if (vnode._start) domNodes.push(vnode._start);
+        for (const child of vnode._children || []) this._collectDOM(child, domNodes);
+        if (vnode._end) domNodes.push(vnode._end);
+        return domNodes;
+    }
+    /**
+     * Collects the DOM nodes of the children of an element, in document order.
+     * 
+     * @param {VirtualElement} vnode - The element
+     * @returns {Array<Node>} The DOM nodes
+     * @private
+     */
+    _collectChildDOM(vnode) {
+        const domNodes = [];
+        for (const child of vnode._children || []) this._collectDOM(child, domNodes);
+        return domNodes;
+    }
+    /**
+     * Returns the first DOM node an element renders to.
+     * 
+     * @param {VirtualElement} vnode - The element
+     * @returns {Node|null} The first DOM node
+     * @private
+     */
+    _firstDOM(vnode) {
+        return this._collectDOM(vnode)[0] || null;
+    }
+    /**
+     * Places DOM nodes in order inside a parent, right before an anchor node, with the minimum
+     * number of DOM operations: the longest run of nodes that are already in the right relative
+     * order stays in place and only the other nodes are inserted or moved around it.
+     * 
+     * @param {Node} parentDom - The parent DOM node
+     * @param {Array<Node>} domNodes - The nodes, in the order they must appear
+     * @param {Node|null} before - The node to place them before, or null to append them
+     * @param {Object} pass - The render pass, whose operation counts are updated
+     * @private
+     */
+    _placeNodes(parentDom, domNodes, before, pass) {
+        const positions = new Map();
+        let index = 0;
+        for (let node = parentDom.firstChild; node && node !== before; node = node.nextSibling) positions.set(node, index++);
+        const stable = this._longestIncreasingRun(domNodes.map(domNode => positions.has(domNode) ? positions.get(domNode) : -1));
+        let next = before;
+        for (let i = domNodes.length - 1; i >= 0; i--) {
+            const domNode = domNodes[i];
+            if (!stable.has(i)) {
+                if (domNode.parentNode === parentDom) pass.operations.moves++;
+                else pass.operations.insertions++;
+                parentDom.insertBefore(domNode, next);
+            }
+            next = domNode;
+        }
+    }
+    /**
+     * Finds the longest strictly increasing subsequence of a list of positions, ignoring negative ones.
+     * 
+     * @param {Array<number>} positions - Current position of each node, or -1 if it is not in place
+     * @returns {Set<number>} Indexes (into positions) of the subsequence
+     * @private
+     */
+    _longestIncreasingRun(positions) {
+        const tails = [];
+        const previous = new Array(positions.length);
+        for (let i = 0; i < positions.length; i++) {
+            const position = positions[i];
+            if (position < 0) continue;
+            let low = 0;
+            let high = tails.length;
+            while (low < high) {
+                const middle = (low + high) >> 1;
+                if (positions[tails[middle]] < position) low = middle + 1;
+                else high = middle;
+            }
+            previous[i] = low > 0 ? tails[low - 1] : -1;
+            tails[low] = i;
+        }
+        const run = new Set();
+        for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i >= 0; i = previous[i]) run.add(i);
+        return run;
+    }
+    /**
+     * Returns the number of DOM insertions, moves and removals performed by the last committed pass.
      * 
-     * @param {Component} component - The component to update
+     * @returns {Object} The operation counts ({ insertions, moves, removals })
      */
-    scheduleUpdate(component) {
-        if (!this._updateQueue.includes(component)) this._updateQueue.push(component);
-        if (!this._isBatchingUpdates) {
-            this._isBatchingUpdates = true;
-            this._batchTimeout = setTimeout(() => this._processBatchedUpdates(), 0);
-        }
+    getLastCommitOperations() {
+        return { ...this._lastCommitOperations };
     }
     /**
-     * Processes all batched updates.
+     * Commits a completed render pass: applies all recorded DOM mutations, then runs
+     * lifecycle callbacks and effects. Passive effects still queued from an earlier commit run
+     * first, so a component unmounted by this pass never runs an effect after its cleanup.
      * 
+     * @param {Object} pass - The render pass
      * @private
      */
-    _processBatchedUpdates() {
-        if (this._isProcessingUpdates) return;
-        this._isProcessingUpdates = true;
-        this._isBatchingUpdates = false;
-        clearTimeout(this._batchTimeout);
-        try {
-            const components = [...this._updateQueue];
-            this._updateQueue = [];
-            for (const component of components) {
-                try {
-                    this._updateComponent(component);
-                } catch (error) {
-                    ErrorSystem.handleError(
-                        new ComponentException(`Error updating component: ${error.message}`,
-                            { context: { component, error } })
-                    );
-                }
+    _commitRoot(pass) {
+        if (this._workInProgress === pass) this._workInProgress = null;
+        this._flushEffects();
+        this._lastCommitOperations = pass.operations;
+        for (const snapshot of pass.snapshots) {
+            try {
+                snapshot();
+            } catch (error) {
+                ErrorSystem.handleError(
+                    new ComponentException(`Error in getSnapshotBeforeUpdate: ${error.message}`,
+                        { context: { error } })
+                );
             }
-            this._flushEffects();
-        } catch (error) {
-            ErrorSystem.handleError(
-                new ValidationException(`Error processing batched updates: ${error.message}`,
-                    { context: { error } })
-            );
-        } finally {
-            this._isProcessingUpdates = false;
-            if (this._updateQueue.length > 0) {
-                this._isBatchingUpdates = true;
-                this._batchTimeout = setTimeout(() => this._processBatchedUpdates(), 0);
+        }
+        this._runEffects(pass.insertionEffects);
+        for (const mutation of pass.mutations) {
+            try {
+                mutation();
+            } catch (error) {
+                ErrorSystem.handleError(
+                    new DOMException(`Error committing DOM mutation: ${error.message}`,
+                        { context: { error } })
+                );
+            }
+        }
+        for (const ref of pass.refs) {
+            try {
+                ref();
+            } catch (error) {
+                ErrorSystem.handleError(error instanceof Exception ? error :
+                    new RenderException(`Error attaching ref: ${error.message}`, { context: { error } }));
+            }
+        }
+        for (const callback of pass.callbacks) {
+            try {
+                callback();
+            } catch (error) {
+                ErrorSystem.handleError(
+                    new ComponentException(`Error in lifecycle method: ${error.message}`,
+                        { context: { error } })
+                );
             }
         }
+        this.runWithPriority(UpdatePriority.Urgent, () => this._runEffects(pass.layoutEffects));
+        this._effectQueue.push(...pass.effects);
+        this._schedulePassiveEffects();
+        this._scheduleRemainingUpdates();
+    }
+    /**
+     * Schedules the pending passive effects (useEffect) to run in a later task, once the browser
+     * has had a chance to paint the commit. They are flushed earlier if another render starts first.
+     * 
+     * @private
+     */
+    _schedulePassiveEffects() {
+        if (this._effectQueue.length === 0 || this._isPassiveFlushScheduled) return;
+        this._isPassiveFlushScheduled = true;
+        this._requestHostCallback(() => {
+            this._isPassiveFlushScheduled = false;
+            this._flushEffects();
+        });
     }
     /**
-     * Executes all pending effect functions.
+     * Executes all pending effects. The cleanups of every effect run before any effect is re-run,
+     * and effects run in commit order: children before their parents.
      * 
      * @private
      */
     _flushEffects() {
+        this._runEffects(this._effectQueue.splice(0));
+    }
+    /**
+     * Runs a list of effects: the cleanups of every effect first, then every effect.
+     * 
+     * @param {Array<Object>} effects - The effects ({ cleanup, effect })
+     * @private
+     */
+    _runEffects(effects) {
         try {
-            const effectsToRun = [...this._effectQueue];
-            this._effectQueue = [];
-            for (const effect of effectsToRun) {
-                if (effect.effect && typeof effect.effect === 'function') {
+            for (const phase of ['cleanup', 'effect']) {
+                for (const effect of effects) {
+                    if (typeof effect[phase] !== 'function') continue;
                     try {
-                        effect.effect();
+                        effect[phase]();
                     } catch (error) {
                         ErrorSystem.handleError(
                             new EffectException(`Error in effect: ${error.message}`,
@@ -990,92 +3141,20 @@ class VirtualDOMReconciliation {
     }
     /**
      * Schedules an effect function to run after render.
+     * Effects scheduled while a pass is rendering only run if that pass is committed.
      * 
      * @param {Function} effect - The effect function to run
      */
     scheduleEffect(effect) {
-        this._effectQueue.push({ effect });
-    }
-    /**
-     * Updates a specific component.
-     * 
-     * @param {Component} component - The component to update
-     * @private
-     */
-    _updateComponent(component) {
-        if (!component._isMounted) return;
-        component._renderInProgress = true;
-        try {
-            let newVNode;
-            if (component instanceof Component) {
-                component._commitState();
-                if (component._hasError && component.state._reset) {
-                    component._hasError = null;
-                    component._errorInfo = null;
-                    delete component.state._reset;
-                }
-                newVNode = component.render();
-            } else {
-                HooksContext.setCurrentComponent(component);
-                newVNode = component.render();
-                HooksContext.setCurrentComponent(null);
-            }
-            if (!newVNode) {
-                component._renderInProgress = false;
-                return;
-            }
-            const domNode = component._currentDOMNode;
-            if (!domNode || !domNode.parentNode) {
-                component._renderInProgress = false;
-                return;
-            }
-            this._reconcile(domNode.parentNode, domNode, newVNode, component);
-        } catch (error) {
-            if (component instanceof Component && component.isErrorBoundary()) {
-                component._hasError = error;
-                component._errorInfo = { componentName: component.constructor.name };
-                component.componentDidCatch(error, component._errorInfo);
-                try {
-                    const errorUI = component.renderError();
-                    const domNode = component._currentDOMNode;
-                    if (domNode && domNode.parentNode) {
-                        this._reconcile(domNode.parentNode, domNode, errorUI, component);
-                    }
-                } catch (errorUIError) {
-                    ErrorSystem.handleError(new ComponentException(
-                        `Error rendering error UI: ${errorUIError.message}`,
-                        { context: { component, originalError: error, errorUIError } }
-                    ));
-                }
-            } else {
-                let parent = component._parentComponent;
-                let handled = false;
-                while (parent && !handled) {
-                    if (parent instanceof Component && parent.isErrorBoundary()) {
-                        parent._hasError = error;
-                        parent._errorInfo = {
-                            componentName: component.constructor ? component.constructor.name : 'Unknown'
-                        };
-                        if (parent.componentDidCatch(error, parent._errorInfo)) {
-                            handled = true;
-                            this.scheduleUpdate(parent);
-                        }
-                    }
-                    parent = parent._parentComponent;
-                }
-                if (!handled) {
-                    ErrorSystem.handleError(new ComponentException(
-                        `Error updating component: ${error.message}`,
-                        { context: { component, error } }
-                    ));
-                }
-            }
-        } finally {
-            component._renderInProgress = false;
+        if (this._currentPass) {
+            this._currentPass.effects.push({ effect });
+            return;
         }
+        this._effectQueue.push({ effect });
+        this._schedulePassiveEffects();
     }
     /**
-     * Mounts a virtual element to a container.
+     * Mounts a virtual element to a container, synchronously.
      * 
      * @param {VirtualElement} vnode - The virtual element to mount
      * @param {Element} container - The container element
@@ -1083,14 +3162,11 @@ class VirtualDOMReconciliation {
      */
     mount(vnode, container) {
         try {
-            if (container && typeof container.innerHTML === 'string') container.innerHTML = '';
-            const domNode = vnode.render();
-            if (domNode) {
-                container.appendChild(domNode);
-                this._executeComponentDidMount(vnode);
-                this._flushEffects();
-            }
-            return domNode;
+            const root = this.createRoot(container);
+            root.pendingElement = vnode;
+            this._flushEffects();
+            this._workLoop(this._createPass(root, true, UpdatePriority.Default, [root]));
+            return this._firstDOM(root.current);
         } catch (error) {
             ErrorSystem.handleError(
                 new RenderException(`Error mounting component: ${error.message}`,
@@ -1110,307 +3186,23 @@ class VirtualDOMReconciliation {
         }
     }
     /**
-     * Executes componentDidMount for all components in a virtual element tree.
-     * 
-     * @param {VirtualElement} vnode - The virtual element
-     * @private
-     */
-    _executeComponentDidMount(vnode) {
-        try {
-            if (
-                typeof vnode.type === 'function' &&
-                (
-                    vnode.type.prototype instanceof Component ||
-                    (vnode.type.prototype && vnode.type.prototype.isComponent)
-                )
-            ) {
-                const element = document.querySelector(`[data-component-id="${vnode.props.key || ''}"]`);
-                if (element && element._componentInstance) {
-                    const instance = element._componentInstance;
-                    if (typeof instance.componentDidMount === 'function') {
-                        instance.componentDidMount();
-                    }
-                }
-            }
-            for (const child of vnode.children || []) {
-                this._executeComponentDidMount(child);
-            }
-        } catch (error) {
-            ErrorSystem.handleError(new ComponentException(
-                `Error in componentDidMount: ${error.message}`,
-                { context: { component: vnode.type?.name || 'Unknown', error } }
-            ));
-        }
-    }
-    /**
-     * Reconciles a DOM node with a new virtual element.
-     * 
-     * @param {Node} parent - The parent DOM node
-     * @param {Node} domNode - The current DOM node
-     * @param {VirtualElement} newVNode - The new virtual element
-     * @param {Component} ownerComponent - The owner component
-     * @returns {Node} The updated DOM node
-     * @private
-     */
-    _reconcile(parent, domNode, newVNode, ownerComponent) {
-        try {
-            if (!domNode) {
-                const newNode = newVNode.render(ownerComponent);
-                if (newNode && parent) parent.appendChild(newNode);
-                return newNode;
-            }
-            if (!newVNode) {
-                this._unmountComponentAtNode(domNode);
-                if (parent) parent.removeChild(domNode);
-                return null;
-            }
-            const oldVNode = domNode._vnode;
-            if (newVNode instanceof TextElement) {
-                if (domNode.nodeType === Node.TEXT_NODE) {
-                    if (domNode.nodeValue !== newVNode.value) domNode.nodeValue = newVNode.value;
-                    domNode._vnode = newVNode;
-                    return domNode;
-                } else {
-                    const newTextNode = document.createTextNode(newVNode.value);
-                    newTextNode._vnode = newVNode;
-                    this._unmountComponentAtNode(domNode);
-                    if (parent) parent.replaceChild(newTextNode, domNode);
-                    return newTextNode;
-                }
-            }
-            if (typeof newVNode.type === 'function') {
-                return this._reconcileComponent(parent, domNode, newVNode, ownerComponent);
-            }
-            if (!oldVNode || oldVNode.type !== newVNode.type || oldVNode.key !== newVNode.key) {
-                const newNode = newVNode.render(ownerComponent);
-                this._unmountComponentAtNode(domNode);
-                if (parent && newNode) parent.replaceChild(newNode, domNode);
-                return newNode;
-            }
-            this._updateProps(domNode, oldVNode.props, newVNode.props);
-            this._reconcileChildren(domNode, oldVNode.children, newVNode.children);
-            domNode._vnode = newVNode;
-            return domNode;
-        } catch (error) {
-            ErrorSystem.handleError(
-                new RenderException(`Error in reconciliation: ${error.message}`,
-                    { context: { parent, domNode, newVNode, error } })
-            );
-            try {
-                const fallbackNode = document.createElement('div');
-                fallbackNode.setAttribute('data-error', 'reconciliation-error');
-                fallbackNode.style.color = 'red';
-                fallbackNode.style.padding = '5px';
-                fallbackNode.style.border = '1px solid red';
-                fallbackNode.textContent = `Rendering error: ${error.message}`;
-                if (parent && domNode) parent.replaceChild(fallbackNode, domNode);
-                return fallbackNode;
-            } catch (fallbackError) {
-                console.error('Error creating fallback UI:', fallbackError);
-                return null;
-            }
-        }
-    }
-    /**
-     * Reconciles a component instance.
-     * 
-     * @param {Node} parent - The parent DOM node
-     * @param {Node} domNode - The current DOM node
-     * @param {VirtualElement} newVNode - The new virtual element
-     * @param {Component} parentComponent - The parent component
-     * @returns {Node} The updated DOM node
-     * @private
-     */
-    _reconcileComponent(parent, domNode, newVNode, parentComponent) {
-        try {
-            const ComponentClass = newVNode.type;
-            if (domNode._ownerComponent &&
-                (
-                    (
-                        domNode._ownerComponent instanceof Component &&
-                        domNode._ownerComponent.constructor === ComponentClass
-                    ) ||
-                    (
-                        domNode._ownerComponent._currentVNode &&
-                        domNode._ownerComponent._currentVNode.type === ComponentClass
-                    )
-                )
-            ) {
-                const instance = domNode._ownerComponent;
-                const oldProps = { ...instance.props };
-                instance.props = { ...newVNode.props, children: newVNode.children };
-                try {
-                    let renderedVNode;
-                    if (instance instanceof Component) {
-                        if (instance._hasError && !instance.state._reset) renderedVNode = instance.renderError();
-                        else renderedVNode = instance.render();
-                    } else {
-                        instance._currentVNode = newVNode;
-                        HooksContext.setCurrentComponent(instance);
-                        renderedVNode = instance.render();
-                        HooksContext.setCurrentComponent(null);
-                    }
-                    if (!renderedVNode) return domNode;
-                    const updatedNode = this._reconcile(parent, domNode, renderedVNode, instance);
-                    if (instance instanceof Component && typeof instance.componentDidUpdate === 'function' && !instance._hasError) {
-                        instance.componentDidUpdate(oldProps, instance._prevState || {});
-                    }
-                    return updatedNode;
-                } catch (error) {
-                    if (instance instanceof Component && instance.isErrorBoundary()) {
-                        instance._hasError = error;
-                        instance._errorInfo = {
-                            componentName: ComponentClass.name || 'UnnamedComponent'
-                        };
-                        instance.componentDidCatch(error, instance._errorInfo);
-                        try {
-                            const errorUI = instance.renderError();
-                            return this._reconcile(parent, domNode, errorUI, instance);
-                        } catch (errorUIError) {
-                            throw new ComponentException(
-                                `Error rendering error UI: ${errorUIError.message}`,
-                                { context: { component: instance, originalError: error } }
-                            );
-                        }
-                    } else {
-                        let boundary = parentComponent;
-                        let handled = false;
-                        while (boundary && !handled) {
-                            if (boundary instanceof Component && boundary.isErrorBoundary()) {
-                                boundary._hasError = error;
-                                boundary._errorInfo = {
-                                    componentName: ComponentClass.name || 'UnnamedComponent'
-                                };
-                                if (boundary.componentDidCatch(error, boundary._errorInfo)) {
-                                    handled = true;
-                                    this.scheduleUpdate(boundary);
-                                    return domNode;
-                                }
-                            }
-                            boundary = boundary._parentComponent;
-                        }
-                        throw new ComponentException(
-                            `Error updating component ${ComponentClass.name || 'Component'}: ${error.message}`,
-                            { context: { component: instance, error } }
-                        );
-                    }
-                }
-            } else {
-                try {
-                    this._unmountComponentAtNode(domNode);
-                    const newNode = newVNode.render(parentComponent);
-                    if (parent && newNode) parent.replaceChild(newNode, domNode);
-                    return newNode;
-                } catch (error) {
-                    throw new ComponentException(
-                        `Error replacing component: ${error.message}`,
-                        { context: { component: ComponentClass.name || 'Component', error } }
-                    );
-                }
-            }
-        } catch (error) {
-            ErrorSystem.handleError(
-                error instanceof Exception ? error : new ComponentException(
-                    `Component reconciliation error: ${error.message}`,
-                    { context: { component: newVNode.type?.name || 'UnnamedComponent', error } }
-                )
-            );
-            const errorNode = document.createElement('div');
-            errorNode.setAttribute('data-error', 'component-error');
-            errorNode.style.color = 'red';
-            errorNode.style.padding = '10px';
-            errorNode.style.border = '1px solid red';
-            errorNode.innerHTML = `<h4>Component Error</h4><p>${error.message}</p>`;
-            if (parent) {
-                try {
-                    parent.replaceChild(errorNode, domNode);
-                } catch (replaceError) {
-                    console.error('Error replacing node with error UI:', replaceError);
-                }
-            }
-            return errorNode;
-        }
-    }
-    /**
-     * Reconciles children of a DOM node.
+     * Unmounts everything rendered into a container and cancels its pending work.
      * 
-     * @param {Node} domNode - The parent DOM node
-     * @param {Array<VirtualElement>} oldChildren - The old virtual children
-     * @param {Array<VirtualElement>} newChildren - The new virtual children
-     * @param {Component} [parentComponent] - The parent component
-     * @private
+     * @param {Element} container - The container element
+     * @returns {boolean} True if something was unmounted
      */
-    _reconcileChildren(domNode, oldChildren = [], newChildren = [], parentComponent) {
-        try {
-            const existingChildren = {};
-            const domChildNodes = Array.from(domNode.childNodes);
-            for (let i = 0; i < domChildNodes.length; i++) {
-                const childNode = domChildNodes[i];
-                const oldVNode = oldChildren[i] || childNode._vnode;
-                if (oldVNode && oldVNode.key != null) {
-                    existingChildren[oldVNode.key] = { domNode: childNode, vnode: oldVNode, index: i };
-                } else {
-                    existingChildren[`__index_${i}`] = { domNode: childNode, vnode: oldVNode, index: i };
-                }
-            }
-            let lastIndex = 0;
-            const newDomNodes = [];
-            for (let i = 0; i < newChildren.length; i++) {
-                const newChild = newChildren[i];
-                if (!newChild) continue;
-                const key = newChild.key != null ? newChild.key : `__index_${i}`;
-                const existingChild = existingChildren[key];
-                try {
-                    if (existingChild &&
-                        (existingChild.vnode && newChild && existingChild.vnode.type === newChild.type)) {
-                        const updatedNode = this._reconcile(domNode, existingChild.domNode, newChild, parentComponent);
-                        if (existingChild.index < lastIndex) {
-                            domNode.appendChild(updatedNode);
-                        } else {
-                            lastIndex = existingChild.index;
-                        }
-                        newDomNodes[i] = updatedNode;
-                        delete existingChildren[key];
-                    } else {
-                        const newNode = newChild.render(parentComponent);
-                        newDomNodes[i] = newNode;
-                        if (i >= domChildNodes.length) {
-                            domNode.appendChild(newNode);
-                        } else {
-                            domNode.insertBefore(newNode, domChildNodes[i]);
-                        }
-                    }
-                } catch (error) {
-                    ErrorSystem.handleError(
-                        new RenderException(`Error reconciling child: ${error.message}`, {
-                            severity: 'warning',
-                            context: { childIndex: i, child: newChild, error }
-                        })
-                    );
-                    const errorNode = document.createElement('div');
-                    errorNode.setAttribute('data-error', 'child-reconciliation-error');
-                    errorNode.style.color = 'red';
-                    errorNode.style.padding = '5px';
-                    errorNode.style.border = '1px dashed red';
-                    errorNode.textContent = `Child render error: ${error.message}`;
-                    if (i >= domChildNodes.length) {
-                        domNode.appendChild(errorNode);
-                    } else {
-                        domNode.insertBefore(errorNode, domChildNodes[i]);
-                    }
-                    newDomNodes[i] = errorNode;
-                }
-            }
-            for (const key in existingChildren) {
-                const childToRemove = existingChildren[key];
-                this._unmountComponentAtNode(childToRemove.domNode);
-                domNode.removeChild(childToRemove.domNode);
-            }
-        } catch (error) {
-            throw new RenderException(`Error reconciling children: ${error.message}`,
-                { context: { parentNode: domNode, error } }
-            );
-        }
+    unmountRoot(container) {
+        const root = container._littedomRoot;
+        if (!root) return false;
+        if (this._workInProgress && this._workInProgress.root === root) this._workInProgress = null;
+        this._updateQueue = this._updateQueue.filter(item => item._root !== root);
+        root.pendingElement = null;
+        if (!root.current) return false;
+        this._flushEffects();
+        this._unmountVNode(root.current);
+        container.innerHTML = '';
+        root.current = null;
+        return true;
     }
     /**
      * Updates the props of a DOM node.
@@ -1423,46 +3215,27 @@ class VirtualDOMReconciliation {
     _updateProps(domNode, oldProps = {}, newProps = {}) {
         try {
             for (const key in oldProps) {
-                if (!(key in newProps) && key !== 'children') {
-                    if (key.startsWith('on')) {
-                        EventSystem.registerEvent(domNode, key.slice(2).toLowerCase(), key, null);
+                if (!(key in newProps) && !ReservedProps.has(key)) {
+                    if (key.startsWith('on') && typeof oldProps[key] === 'function') {
+                        EventSystem.registerEvent(domNode, key, null);
                     } else if (key === 'style') {
                         domNode.style = '';
-                    } else if (key === 'className') {
-                        domNode.removeAttribute('class');
                     } else {
-                        domNode.removeAttribute(key);
+                        setDOMProperty(domNode, key, null);
                     }
                 }
             }
             for (const key in newProps) {
-                if (key !== 'children' && key !== 'key' && oldProps[key] !== newProps[key]) {
-                    if (key.startsWith('on') && typeof newProps[key] === 'function') {
-                        EventSystem.registerEvent(domNode, key.slice(2).toLowerCase(), key, newProps[key]);
-                    } else if (key === 'style' && typeof newProps[key] === 'object') {
-                        this._updateStyles(domNode.style, oldProps.style || {}, newProps.style);
-                    } else if (key === 'className') {
-                        domNode.setAttribute('class', newProps[key]);
-                    } else if (typeof newProps[key] === 'boolean') {
-                        if (newProps[key]) domNode.setAttribute(key, '');
-                        else domNode.removeAttribute(key);
-                    } else if (key !== 'ref') {
-                        const safeValue = typeof newProps[key] === 'string'
-                            ? newProps[key].replace(/[<>"&]/g, char => {
-                                switch (char) {
-                                    case '<': return '&lt;';
-                                    case '>': return '&gt;';
-                                    case '"': return '&quot;';
-                                    case '&': return '&amp;';
-                                    default: return char;
-                                }
-                            })
-                            : newProps[key];
-                        domNode.setAttribute(key, safeValue);
-                    }
+                if (ReservedProps.has(key) || oldProps[key] === newProps[key]) continue;
+                const value = newProps[key];
+                if (key.startsWith('on') && (typeof value === 'function' || typeof oldProps[key] === 'function')) {
+                    EventSystem.registerEvent(domNode, key, typeof value === 'function' ? value : null);
+                } else if (key === 'style' && value && typeof value === 'object') {
+                    this._updateStyles(domNode.style, typeof oldProps.style === 'object' ? oldProps.style || {} : {}, value);
+                } else {
+                    setDOMProperty(domNode, key, value);
                 }
             }
-            this._updateRefs(domNode, oldProps.ref, newProps.ref);
         } catch (error) {
             throw new RenderException(`Error updating props: ${error.message}`,
                 { context: { domNode, oldProps, newProps, error } }
@@ -1484,7 +3257,7 @@ class VirtualDOMReconciliation {
             }
             for (const key in newStyles) {
                 if (oldStyles[key] !== newStyles[key]) {
-                    const value = String(newStyles[key]).trim();
+                    const value = getStyleValue(key, newStyles[key]);
                     if (!/javascript:|expression\(|[<>]/i.test(value)) {
                         domStyle[key] = value;
                     } else {
@@ -1502,59 +3275,109 @@ class VirtualDOMReconciliation {
         }
     }
     /**
-     * Updates the refs of a DOM node.
+     * Updates the refs of a DOM node or class component instance.
+     * A callback ref that returns a function is detached by calling that function instead of
+     * being called with null.
      * 
-     * @param {Node} domNode - The DOM node
+     * @param {Node|Component} target - The DOM node or component instance
      * @param {Function|Object} oldRef - The old ref
      * @param {Function|Object} newRef - The new ref
      * @private
      */
-    _updateRefs(domNode, oldRef, newRef) {
+    _updateRefs(target, oldRef, newRef) {
         try {
             if (oldRef && oldRef !== newRef) {
                 if (typeof oldRef === 'function') {
-                    oldRef(null);
+                    const cleanup = this._refCleanups.get(target);
+                    this._refCleanups.delete(target);
+                    if (cleanup) cleanup();
+                    else oldRef(null);
                 } else if (oldRef.current) {
                     oldRef.current = null;
                 }
             }
             if (newRef && oldRef !== newRef) {
                 if (typeof newRef === 'function') {
-                    newRef(domNode);
+                    const cleanup = newRef(target);
+                    if (typeof cleanup === 'function') this._refCleanups.set(target, cleanup);
                 } else {
-                    newRef.current = domNode;
+                    newRef.current = target;
                 }
             }
         } catch (error) {
             throw new RenderException(`Error updating refs: ${error.message}`,
-                { context: { domNode, error } }
+                { context: { target, error } }
             );
         }
     }
     /**
-     * Unmounts a component from a DOM node.
+     * Runs the effect cleanups of an unmounting function component and drops its hooks.
+     * Insertion and layout effect cleanups run right away; passive effect cleanups are queued
+     * with the passive effects, ahead of any effect that runs next.
+     * 
+     * @param {Object} instance - The component instance
+     * @private
+     */
+    _releaseHooks(instance) {
+        const passiveCleanups = [];
+        for (const hook of instance._hooks) {
+            if (!hook || hook.type !== 'effect' || typeof hook.cleanup !== 'function') continue;
+            const cleanup = hook.cleanup;
+            hook.cleanup = null;
+            if (hook.phase === 'passive') {
+                passiveCleanups.push({ cleanup });
+            } else {
+                this._runEffects([{ cleanup }]);
+            }
+        }
+        instance._hooks = null;
+        instance._pendingEffects = [];
+        if (passiveCleanups.length > 0) {
+            this._effectQueue.push(...passiveCleanups);
+            this._schedulePassiveEffects();
+        }
+    }
+    /**
+     * Unmounts the components rendered by an element: runs componentWillUnmount and the effect
+     * cleanups of function components, detaches refs and releases DOM event handlers.
+     * Portals also remove their nodes from the portal container, which is not part of the element's range,
+     * and release the container's event listeners.
      * 
-     * @param {Node} domNode - The DOM node to unmount
+     * @param {VirtualElement} vnode - The element to unmount
      * @private
      */
-    _unmountComponentAtNode(domNode) {
+    _unmountVNode(vnode) {
         try {
-            if (!domNode) return;
-            if (domNode._ownerComponent) {
-                const instance = domNode._ownerComponent;
-                if (instance instanceof Component && typeof instance.componentWillUnmount === 'function') {
-                    instance.componentWillUnmount();
+            if (!vnode) return;
+            const instance = vnode._instance;
+            if (instance) {
+                if (instance instanceof Component) {
+                    if (vnode.props.ref) this._updateRefs(instance, vnode.props.ref, null);
+                    if (typeof instance.componentWillUnmount === 'function') instance.componentWillUnmount();
                 }
+                if (instance._hooks) this._releaseHooks(instance);
                 instance._isMounted = false;
+                instance._isUnmounted = true;
             }
-            EventSystem.removeAllHandlers(domNode);
-            for (let i = 0; i < domNode.childNodes.length; i++) {
-                this._unmountComponentAtNode(domNode.childNodes[i]);
+            if (vnode._dom) {
+                if (vnode.props && vnode.props.ref) this._updateRefs(vnode._dom, vnode.props.ref, null);
+                EventSystem.removeAllHandlers(vnode._dom);
+            }
+            if (vnode._rendered != null) {
+                this._unmountVNode(vnode._rendered);
+            } else {
+                for (const child of vnode._children || []) this._unmountVNode(child);
+            }
+            if (vnode._anchor) {
+                for (const domNode of [...this._collectChildDOM(vnode), vnode._anchor]) {
+                    if (domNode.parentNode) domNode.parentNode.removeChild(domNode);
+                }
+                EventSystem.releasePortal(vnode.containerInfo);
             }
         } catch (error) {
             ErrorSystem.handleError(new ComponentException(
                 `Error unmounting component: ${error.message}`,
-                { context: { domNode, error } }
+                { context: { vnode, error } }
             ));
         }
     }
@@ -1572,6 +3395,10 @@ class HooksManager {
     constructor() {
         this.currentComponent = null;
         this.hookIndex = 0;
+        this.localIdIndex = 0;
+        this.renderPriority = UpdatePriority.Transition;
+        this.serverRendering = false;
+        this.warnedServerLayoutEffects = new Set();
     }
     /**
      * Sets the current component for hook context.
@@ -1581,6 +3408,7 @@ class HooksManager {
     setCurrentComponent(component) {
         this.currentComponent = component;
         this.hookIndex = 0;
+        this.localIdIndex = 0;
     }
 }
 /**
@@ -1591,62 +3419,201 @@ class HooksManager {
  */
 class Hooks {
     /**
-     * Creates a state hook for functional components.
+     * Creates a state hook for functional components.
+     * 
+     * @param {*} initialState - The initial state value or function
+     * @returns {Array} An array with current state and setState function
+     * @throws {HookException} If called outside a functional component
+     */
+    static useState(initialState) {
+        if (!HooksContext.currentComponent) {
+            throw new HookException('Hooks solo pueden ser llamados dentro de componentes funcionales');
+        }
+        const component = HooksContext.currentComponent;
+        const hookIndex = HooksContext.hookIndex++;
+        if (!component._hooks) component._hooks = [];
+        if (hookIndex >= component._hooks.length) {
+            const state = typeof initialState === 'function' ? initialState() : initialState;
+            const hook = {
+                type: 'state',
+                state,
+                baseState: state,
+                queue: [],
+                reducer: (currentState, action) => typeof action === 'function' ? action(currentState) : action
+            };
+            hook.dispatch = Hooks._createDispatch(component, hook, 'Error in setState for hooks');
+            component._hooks[hookIndex] = hook;
+        }
+        const hook = component._hooks[hookIndex];
+        Hooks._processQueue(component, hook);
+        return [hook.state, hook.dispatch];
+    }
+    /**
+     * Creates the dispatch function of a state or reducer hook.
+     * Updates are queued with the current priority and applied when the component renders;
+     * an update that would not change the state is dropped without scheduling a render.
+     * 
+     * @param {Object} component - The component owning the hook
+     * @param {Object} hook - The state or reducer hook
+     * @param {string} errorMessage - Prefix of the error reported if the update fails
+     * @returns {Function} The dispatch function
+     * @private
+     */
+    static _createDispatch(component, hook, errorMessage) {
+        return (action) => {
+            try {
+                if (component._isUnmounted) {
+                    if (!component._warnedUnmountedUpdate) {
+                        component._warnedUnmountedUpdate = true;
+                        ErrorSystem.handleError(new HookException(
+                            'Cannot update the state of an unmounted component. The update was ignored; ' +
+                            'cancel subscriptions and asynchronous tasks in the cleanup of an effect',
+                            { code: 'ERR_UPDATE_UNMOUNTED', severity: 'warning', context: { component, action } }
+                        ));
+                    }
+                    return;
+                }
+                if (hook.queue.length === 0 || !component._isMounted) {
+                    const nextState = hook.reducer(hook.state, action);
+                    if (Object.is(nextState, hook.state)) return;
+                    if (!component._isMounted) {
+                        hook.state = hook.baseState = nextState;
+                        return;
+                    }
+                }
+                const priority = ReconciliationManager.getCurrentPriority();
+                hook.queue.push({ action, priority });
+                ReconciliationManager.scheduleUpdate(component, priority);
+            } catch (error) {
+                ErrorSystem.handleError(
+                    new HookException(`${errorMessage}: ${error.message}`,
+                        { context: { component, action, currentState: hook.state, error } })
+                );
+            }
+        };
+    }
+    /**
+     * Applies the queued updates of a state or reducer hook that are included in the current render.
+     * Skipped updates, and every update queued after them, stay in the queue and are rebased
+     * on top of the resulting state when their priority is rendered.
+     * 
+     * @param {Object} component - The component owning the hook
+     * @param {Object} hook - The state or reducer hook
+     * @private
+     */
+    static _processQueue(component, hook) {
+        if (hook.queue.length === 0) return;
+        const renderPriority = HooksContext.renderPriority;
+        const queue = hook.queue;
+        const remaining = [];
+        let nextState = hook.baseState;
+        let newBaseState = nextState;
+        for (const update of queue) {
+            if (update.priority > renderPriority) {
+                if (remaining.length === 0) newBaseState = nextState;
+                remaining.push(update);
+                component._skippedPriority = Math.min(component._skippedPriority ?? update.priority, update.priority);
+                continue;
+            }
+            if (remaining.length > 0) remaining.push({ ...update, priority: UpdatePriority.Urgent });
+            nextState = hook.reducer(nextState, update.action);
+        }
+        const prevState = hook.state;
+        hook.state = nextState;
+        ReconciliationManager.onCommit(() => {
+            hook.baseState = remaining.length > 0 ? newBaseState : nextState;
+            hook.queue = remaining.concat(hook.queue.slice(queue.length));
+        }, () => { hook.state = prevState; });
+    }
+    /**
+     * Creates an effect hook for side effects in functional components.
+     * Effects run after the browser has painted the commit.
+     * 
+     * @param {Function} effect - The effect function
+     * @param {Array} [deps] - Dependency array to control when the effect runs
+     * @throws {HookException} If called outside a functional component
+     */
+    static useEffect(effect, deps) {
+        Hooks._useEffectHook('passive', effect, deps);
+    }
+    /**
+     * Creates a layout effect hook. Layout effects run synchronously after the DOM has been
+     * mutated and before the browser paints, so they can measure the DOM; state updates made
+     * inside them are rendered before paint too.
+     * 
+     * @param {Function} effect - The effect function
+     * @param {Array} [deps] - Dependency array to control when the effect runs
+     * @throws {HookException} If called outside a functional component
+     */
+    static useLayoutEffect(effect, deps) {
+        const component = HooksContext.currentComponent;
+        if (HooksContext.serverRendering && component) {
+            const type = component._currentVNode && component._currentVNode.type;
+            if (!HooksContext.warnedServerLayoutEffects.has(type)) {
+                HooksContext.warnedServerLayoutEffects.add(type);
+                ErrorSystem.handleError(new HookException(
+                    `useLayoutEffect does nothing on the server (in ${type && (type.displayName || type.name) || 'Unknown'}): ` +
+                    'its effect will only run after hydration, so the server markup may not match the first client render',
+                    { code: 'ERR_SERVER_LAYOUT_EFFECT', severity: 'warning' }
+                ));
+            }
+        }
+        Hooks._useEffectHook('layout', effect, deps);
+    }
+    /**
+     * Creates an insertion effect hook, meant for injecting styles. Insertion effects run
+     * before the DOM is mutated, ahead of every layout effect.
      * 
-     * @param {*} initialState - The initial state value or function
-     * @returns {Array} An array with current state and setState function
+     * @param {Function} effect - The effect function
+     * @param {Array} [deps] - Dependency array to control when the effect runs
      * @throws {HookException} If called outside a functional component
      */
-    static useState(initialState) {
-        if (!HooksContext.currentComponent) {
-            throw new HookException('Hooks solo pueden ser llamados dentro de componentes funcionales');
-        }
-        const component = HooksContext.currentComponent;
-        const hookIndex = HooksContext.hookIndex++;
-        if (!component._hooks) component._hooks = [];
-        if (hookIndex >= component._hooks.length) {
-            component._hooks[hookIndex] = {
-                type: 'state',
-                state: typeof initialState === 'function' ? initialState() : initialState,
-                queue: []
-            };
-        }
-        const hook = component._hooks[hookIndex];
-        const setState = (newState) => {
-            try {
-                const nextState = typeof newState === 'function' ? newState(hook.state) : newState;
-                if (nextState !== hook.state) {
-                    hook.state = nextState;
-                    if (component._isMounted) ReconciliationManager.scheduleUpdate(component);
-                }
-            } catch (error) {
-                ErrorSystem.handleError(
-                    new Exception(`Error in setState for hooks: ${error.message}`,
-                        { context: { component, error } })
-                );
+    static useInsertionEffect(effect, deps) {
+        Hooks._useEffectHook('insertion', effect, deps);
+    }
+    /**
+     * Sets the value a ref exposes to the parent component, instead of the component's DOM node
+     * or instance. Used with forwardRef. The handle is set with the layout effects and cleared
+     * when the component unmounts or the ref changes.
+     * 
+     * @param {Function|Object} ref - The ref received from forwardRef
+     * @param {Function} create - Function that returns the handle
+     * @param {Array} [deps] - Dependency array to control when the handle is recreated
+     * @throws {HookException} If called outside a functional component
+     */
+    static useImperativeHandle(ref, create, deps) {
+        Hooks._useEffectHook('layout', () => {
+            if (typeof ref === 'function') {
+                const cleanup = ref(create());
+                return typeof cleanup === 'function' ? cleanup : () => ref(null);
             }
-        };
-        return [hook.state, setState];
+            if (ref) {
+                ref.current = create();
+                return () => { ref.current = null; };
+            }
+        }, deps ? [...deps, ref] : undefined);
     }
     /**
-     * Creates an effect hook for side effects in functional components.
+     * Implements the effect hooks. Effects are skipped while rendering on the server.
      * 
+     * @param {string} phase - Commit phase the effect runs in ('insertion', 'layout' or 'passive')
      * @param {Function} effect - The effect function
      * @param {Array} [deps] - Dependency array to control when the effect runs
-     * @throws {HookException} If called outside a functional component
+     * @private
      */
-    static useEffect(effect, deps) {
+    static _useEffectHook(phase, effect, deps) {
         try {
             if (!HooksContext.currentComponent) {
                 throw new HookException('Hooks solo pueden ser llamados dentro de componentes funcionales');
             }
             const component = HooksContext.currentComponent;
             const hookIndex = HooksContext.hookIndex++;
+            if (HooksContext.serverRendering) return;
             if (!component._hooks) component._hooks = [];
             let shouldRun = false;
             let hook;
             if (hookIndex >= component._hooks.length) {
-                hook = { type: 'effect', deps: deps, cleanup: null, effect: effect };
+                hook = { type: 'effect', phase, deps: deps, cleanup: null, effect: effect };
                 component._hooks[hookIndex] = hook;
                 shouldRun = true;
             } else {
@@ -1665,24 +3632,30 @@ class Hooks {
                         }
                     }
                 }
+                const prevDeps = hook.deps;
                 hook.deps = deps;
+                ReconciliationManager.onCommit(null, () => { hook.deps = prevDeps; });
             }
             if (shouldRun) {
-                const effectFunction = () => {
-                    try {
-                        if (typeof hook.cleanup === 'function') {
-                            hook.cleanup();
+                component._pendingEffects.push({
+                    phase,
+                    cleanup: () => {
+                        const cleanup = hook.cleanup;
+                        hook.cleanup = null;
+                        if (typeof cleanup === 'function') cleanup();
+                    },
+                    effect: () => {
+                        try {
+                            const cleanup = effect();
+                            hook.cleanup = typeof cleanup === 'function' ? cleanup : null;
+                        } catch (error) {
+                            ErrorSystem.handleError(
+                                new HookException(`Error in effect function: ${error.message}`,
+                                    { context: { component, error } })
+                            );
                         }
-                        const cleanup = effect();
-                        hook.cleanup = typeof cleanup === 'function' ? cleanup : null;
-                    } catch (error) {
-                        ErrorSystem.handleError(
-                            new HookException(`Error in effect function: ${error.message}`,
-                                { context: { component, error } })
-                        );
                     }
-                };
-                ReconciliationManager.scheduleEffect(effectFunction);
+                });
             }
         } catch (error) {
             ErrorSystem.handleError(
@@ -1709,28 +3682,15 @@ class Hooks {
             const hookIndex = HooksContext.hookIndex++;
             if (!component._hooks) component._hooks = [];
             if (hookIndex >= component._hooks.length) {
-                component._hooks[hookIndex] = {
-                    type: 'reducer',
-                    state: init ? init(initialState) : initialState,
-                    reducer: reducer
-                };
+                const state = init ? init(initialState) : initialState;
+                const hook = { type: 'reducer', state, baseState: state, queue: [], reducer };
+                hook.dispatch = Hooks._createDispatch(component, hook, 'Error in reducer');
+                component._hooks[hookIndex] = hook;
             }
             const hook = component._hooks[hookIndex];
-            const dispatch = (action) => {
-                try {
-                    const nextState = hook.reducer(hook.state, action);
-                    if (nextState !== hook.state) {
-                        hook.state = nextState;
-                        if (component._isMounted) ReconciliationManager.scheduleUpdate(component);
-                    }
-                } catch (error) {
-                    ErrorSystem.handleError(
-                        new HookException(`Error in reducer: ${error.message}`,
-                            { context: { component, action, currentState: hook.state, error } })
-                    );
-                }
-            };
-            return [hook.state, dispatch];
+            hook.reducer = reducer;
+            Hooks._processQueue(component, hook);
+            return [hook.state, hook.dispatch];
         } catch (error) {
             ErrorSystem.handleError(
                 new HookException(`Error setting up reducer: ${error.message}`,
@@ -1821,7 +3781,7 @@ class Hooks {
      * @returns {Function} The memoized callback
      */
     static useCallback(callback, deps) {
-        return this.useMemo(() => callback, deps);
+        return Hooks.useMemo(() => callback, deps);
     }
     /**
      * Creates a context hook for accessing context values.
@@ -1835,10 +3795,127 @@ class Hooks {
         if (!component) {
             throw new HookException('useContext debe ser llamado dentro de un componente funcional');
         }
-        if (component._contextValues && component._contextValues.has(context)) {
-            return component._contextValues.get(context);
+        return context._read(component);
+    }
+    /**
+     * Creates a transition hook for marking state updates as non-urgent.
+     * 
+     * @returns {Array} An array with the pending flag and the startTransition function
+     * @throws {HookException} If called outside a functional component
+     */
+    static useTransition() {
+        const [isPending, setPending] = Hooks.useState(false);
+        const start = Hooks.useCallback((callback) => {
+            setPending(true);
+            startTransition(() => {
+                setPending(false);
+                callback();
+            });
+        }, []);
+        return [isPending, start];
+    }
+    /**
+     * Creates a deferred value hook. Urgent renders keep returning the previous value and a
+     * transition render is scheduled to catch up with the new one.
+     * 
+     * @param {*} value - The value to defer
+     * @returns {*} The deferred value
+     * @throws {HookException} If called outside a functional component
+     */
+    static useDeferredValue(value) {
+        const component = HooksContext.currentComponent;
+        if (!component) {
+            throw new HookException('Hooks solo pueden ser llamados dentro de componentes funcionales');
+        }
+        const hookIndex = HooksContext.hookIndex++;
+        if (!component._hooks) component._hooks = [];
+        if (hookIndex >= component._hooks.length) component._hooks[hookIndex] = { type: 'deferred', value };
+        const hook = component._hooks[hookIndex];
+        if (Object.is(hook.value, value)) return value;
+        if (HooksContext.renderPriority >= UpdatePriority.Transition) {
+            ReconciliationManager.onCommit(() => { hook.value = value; });
+            return value;
+        }
+        component._skippedPriority = Math.min(component._skippedPriority ?? UpdatePriority.Transition, UpdatePriority.Transition);
+        return hook.value;
+    }
+    /**
+     * Creates an id hook. The id is derived from the component's position in the tree, so the
+     * server and the client generate the same ids, and starts with the identifierPrefix of the
+     * root to keep the ids of different roots apart. It is kept for the life of the component.
+     * 
+     * @returns {string} A unique id, such as ":r0-1:"
+     * @throws {HookException} If called outside a functional component
+     */
+    static useId() {
+        const component = HooksContext.currentComponent;
+        if (!component) {
+            throw new HookException('Hooks solo pueden ser llamados dentro de componentes funcionales');
+        }
+        const hookIndex = HooksContext.hookIndex++;
+        const localIdIndex = HooksContext.localIdIndex++;
+        component._usesId = true;
+        if (!component._hooks) component._hooks = [];
+        if (hookIndex >= component._hooks.length) {
+            const prefix = component._root ? component._root.identifierPrefix || '' : '';
+            const local = localIdIndex > 0 ? `H${localIdIndex.toString(32)}` : '';
+            component._hooks[hookIndex] = { type: 'id', id: `:${prefix}r${component._treeId ?? '0'}${local}:` };
+        }
+        return component._hooks[hookIndex].id;
+    }
+    /**
+     * Reads a value from an external store. The component subscribes to the store when the render
+     * is committed, and checks the snapshot again right after subscribing and after every commit,
+     * so a change made between rendering and subscribing is not missed. When the snapshot changes,
+     * the component is re-rendered with urgent priority, which renders synchronously and
+     * interrupts any transition in progress, so the UI never shows two versions of the store.
+     * 
+     * @param {Function} subscribe - Function (onStoreChange) => unsubscribe
+     * @param {Function} getSnapshot - Returns the current value of the store; must return the same value while it does not change
+     * @param {Function} [getServerSnapshot] - Returns the value to render on the server
+     * @returns {*} The snapshot
+     * @throws {HookException} If called outside a functional component, or on the server without getServerSnapshot
+     */
+    static useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot) {
+        const component = HooksContext.currentComponent;
+        if (!component) {
+            throw new HookException('Hooks solo pueden ser llamados dentro de componentes funcionales');
+        }
+        let value;
+        if (HooksContext.serverRendering) {
+            if (typeof getServerSnapshot !== 'function') {
+                throw new HookException('useSyncExternalStore requires getServerSnapshot to render on the server',
+                    { code: 'ERR_MISSING_SERVER_SNAPSHOT' });
+            }
+            value = getServerSnapshot();
+        } else {
+            value = getSnapshot();
+        }
+        const store = Hooks.useRef({ value, getSnapshot, warnedUncached: false }).current;
+        if (!HooksContext.serverRendering && !store.warnedUncached && !Object.is(value, getSnapshot())) {
+            store.warnedUncached = true;
+            ErrorSystem.handleError(new HookException(
+                'The result of getSnapshot should be cached: it returned a different value on each call, ' +
+                'so the component is only re-rendered when the store notifies a change',
+                { code: 'ERR_UNCACHED_SNAPSHOT', severity: 'warning' }
+            ));
         }
-        return context._defaultValue;
+        const checkForChange = () => {
+            if (component._isMounted && !Object.is(store.getSnapshot(), store.value)) {
+                ReconciliationManager.scheduleUpdate(component, UpdatePriority.Urgent);
+            }
+        };
+        Hooks._useEffectHook('layout', () => {
+            store.value = value;
+            store.getSnapshot = getSnapshot;
+            if (!store.warnedUncached) checkForChange();
+        });
+        Hooks._useEffectHook('layout', () => {
+            const unsubscribe = subscribe(() => checkForChange());
+            if (!store.warnedUncached) checkForChange();
+            return unsubscribe;
+        }, [subscribe]);
+        return value;
     }
     /**
      * Creates an error boundary hook for functional components.
@@ -1929,90 +4006,465 @@ class ElementFactory {
         }
     }
     /**
-     * Creates a portal element (children rendered to a different part of the DOM).
+     * Creates a portal element (children rendered to a different part of the DOM).
+     * 
+     * @param {Array} children - Child elements
+     * @param {Element} container - The container element to render to
+     * @returns {VirtualElement} The created portal element
+     */
+    createPortal(children, container) {
+        try {
+            const portalElement = new VirtualElement(Symbol.for('littedom.portal'), {});
+            portalElement.children = Array.isArray(children) ? children : [children];
+            portalElement.containerInfo = container;
+            return portalElement;
+        } catch (error) {
+            ErrorSystem.handleError(
+                new RenderException(`Error creating portal: ${error.message}`,
+                    { context: { children, container, error } })
+            );
+            return new VirtualElement(Symbol.for('littedom.fragment'), {}, []);
+        }
+    }
+}
+/**
+ * SuspenseComponent handles suspended rendering for asynchronous operations.
+ * Similar to React.Suspense.
+ * 
+ * @class
+ * @extends Component
+ * @private
+ */
+class SuspenseComponent extends Component {
+    /**
+     * Creates a new SuspenseComponent.
+     * 
+     * @param {Object} props - Component props
+     */
+    constructor(props) {
+        super(props);
+        this.state = { suspended: false, promise: null };
+    }
+    /**
+     * Static method to derive state from an error.
+     * 
+     * @param {Error|Promise} error - The error or promise that was thrown
+     * @returns {Object|null} New state if the error is a Promise, otherwise null
+     */
+    static getDerivedStateFromError(error) {
+        if (error instanceof Promise) {
+            return { suspended: true, promise: error };
+        }
+        throw error;
+    }
+    /**
+     * Catches promises and resumes rendering when they resolve.
+     * 
+     * @param {Error|Promise} error - The error or promise that was thrown
+     * @param {Object} errorInfo - Information about the error
+     * @returns {boolean} True if the error was handled (is a Promise)
+     */
+    componentDidCatch(error, errorInfo) {
+        if (error instanceof Promise) {
+            error.then(() => {
+                this.setState({ suspended: false, promise: null });
+            }).catch(error => {
+                ErrorSystem.handleError(
+                    new Exception(`Error in suspended component: ${error.message}`,
+                        { context: { error, errorInfo } })
+                );
+            });
+            return true;
+        }
+        return false;
+    }
+    /**
+     * Renders either the fallback UI or children depending on suspension state.
+     * 
+     * @returns {VirtualElement} The rendered UI
+     */
+    render() {
+        if (this.state.suspended) {
+            return this.props.fallback || createElement('div', {}, ['Loading...']);
+        }
+        return this.props.children;
+    }
+}
+/**
+ * ServerRenderer renders virtual elements to HTML on the server. It is the single serializer
+ * behind renderToString, renderToStaticMarkup and the streaming functions.
+ * Unless static markup is requested, it writes the markers the hydrator relies on: `<!-- -->`
+ * between adjacent text nodes, `<!--[-->`/`<!--]-->` around fragments and `<!--$-->`/`<!--/$-->`
+ * around Suspense boundaries (`<!--$?-->` while streaming, `<!--$!-->` if rendered with its fallback).
+ * Suspense boundaries whose content suspends are rendered with their fallback. When streaming,
+ * the boundary is retried once the promise it suspended on settles, and the resolved HTML is
+ * streamed together with an inline script that swaps it into place.
+ * 
+ * @class
+ * @private
+ */
+class ServerRenderer {
+    /**
+     * Creates a new ServerRenderer.
+     * 
+     * @param {Object} [options] - Render options
+     * @param {boolean} [options.streaming=false] - Whether suspended boundaries are completed later in the stream
+     * @param {boolean} [options.markers=true] - Whether to write hydration markers
+     * @param {Function} [options.onError] - Called with errors thrown while rendering
+     * @param {string} [options.identifierPrefix] - Prefix of the ids generated by useId
+     */
+    constructor({ streaming = false, markers = true, onError = null, identifierPrefix = '' } = {}) {
+        this.streaming = streaming;
+        this.markers = markers;
+        this.lastWasText = false;
+        this.owner = null;
+        this.root = { identifierPrefix };
+        this.treeId = '0';
+        this.onError = onError;
+        this.boundaryCount = 0;
+        this.pendingBoundaries = [];
+    }
+    /**
+     * Renders the root element of a server render. A component that suspends outside of a
+     * Suspense boundary is reported and replaced by an error marker, and the promise it threw
+     * gets a rejection handler, since nothing will wait on it.
+     * 
+     * @param {*} element - The element to render
+     * @returns {string} The HTML
+     */
+    renderShell(element) {
+        try {
+            return this.render(element);
+        } catch (error) {
+            if (isThenable(error)) {
+                error.then(() => {}, () => {});
+                this._reportError(new RenderException('A component suspended outside of a Suspense boundary',
+                    { context: { element } }), element);
+            } else {
+                this._reportError(error, element);
+            }
+            return '<!-- Error rendering component -->';
+        }
+    }
+    /**
+     * Renders an element (or any renderable value) to an HTML string.
+     * 
+     * @param {*} element - The element to render
+     * @returns {string} The HTML
+     */
+    render(element) {
+        if (element == null || typeof element === 'boolean') return '';
+        if (Array.isArray(element)) return this._renderChildren(element);
+        if (typeof element !== 'object') return this._renderText(String(element));
+        if (element instanceof TextElement) return this._renderText(element.value);
+        if (element instanceof CommentElement || !element.type) return '';
+        try {
+            if (element.type === Suspense || element.type === SuspenseComponent) return this._renderSuspense(element);
+            if (typeof element.type === 'function') return this._renderComponent(element);
+            if (element.type === Symbol.for('littedom.fragment')) return this._renderFragment(element.children);
+            if (typeof element.type !== 'string') return '';
+            return this._renderHost(element);
+        } catch (error) {
+            if (isThenable(error)) throw error;
+            this._reportError(error, element);
+            return this._renderMarker(' Error rendering component ');
+        }
+    }
+    /**
+     * Renders a list of children. Like the client, every child of a list with several children
+     * gets its index added to the tree id that useId derives ids from.
+     * 
+     * @param {Array} children - The children
+     * @returns {string} The HTML
+     * @private
+     */
+    _renderChildren(children) {
+        const treeId = this.treeId;
+        const list = children.flat().filter(child => child != null);
+        try {
+            return list.map((child, index) => {
+                this.treeId = list.length > 1 ? `${treeId}-${index.toString(32)}` : treeId;
+                return this.render(child);
+            }).join('');
+        } finally {
+            this.treeId = treeId;
+        }
+    }
+    /**
+     * Renders a text node, separated from a preceding text node by an empty comment so the
+     * client sees two text nodes where it renders two.
+     * 
+     * @param {string} text - The text
+     * @returns {string} The HTML
+     * @private
+     */
+    _renderText(text) {
+        if (text === '') return '';
+        const separator = this.markers && this.lastWasText ? '<!-- -->' : '';
+        this.lastWasText = true;
+        return separator + escapeHTML(text);
+    }
+    /**
+     * Renders a comment. Hydration markers are left out when rendering static markup.
+     * 
+     * @param {string} data - The comment content
+     * @param {boolean} [hydrationOnly=false] - Whether the comment is only a hydration marker
+     * @returns {string} The HTML
+     * @private
+     */
+    _renderMarker(data, hydrationOnly = false) {
+        if (hydrationOnly && !this.markers) return '';
+        this.lastWasText = false;
+        return `<!--${data}-->`;
+    }
+    /**
+     * Renders a list of children between the fragment markers the client creates for them.
+     * 
+     * @param {Array} children - The children
+     * @returns {string} The HTML
+     * @private
+     */
+    _renderFragment(children) {
+        const start = this._renderMarker('[', true);
+        const content = this.render(children);
+        return start + content + this._renderMarker(']', true);
+    }
+    /**
+     * Renders a component element. The component gets an instance like on the client, with its
+     * children in props and the context values of its ancestors, so hooks and providers work.
+     * Effects are never run.
+     * 
+     * @param {VirtualElement} element - The component element
+     * @returns {string} The HTML
+     * @private
+     */
+    _renderComponent(element) {
+        const owner = this.owner;
+        const instance = element.createComponentInstance(getComponentProps(element), owner);
+        const treeId = this.treeId;
+        instance._ref = element.props.ref || null;
+        instance._root = this.root;
+        instance._treeId = treeId;
+        const { currentComponent, hookIndex, localIdIndex, serverRendering } = HooksContext;
+        HooksContext.serverRendering = true;
+        try {
+            if (isClassComponent(element.type)) this._prepareClassInstance(instance, element.type);
+            const rendered = instance.render();
+            this.owner = instance;
+            this.treeId = getOutputTreeId(instance);
+            return Array.isArray(rendered) ? this._renderFragment(rendered) : this.render(rendered);
+        } finally {
+            this.owner = owner;
+            this.treeId = treeId;
+            HooksContext.currentComponent = currentComponent;
+            HooksContext.hookIndex = hookIndex;
+            HooksContext.localIdIndex = localIdIndex;
+            HooksContext.serverRendering = serverRendering;
+        }
+    }
+    /**
+     * Runs the lifecycle of a class component that precedes its first render: contextType,
+     * getDerivedStateFromProps and componentWillMount, applying the state they produce.
+     * 
+     * @param {Component} instance - The component instance
+     * @param {Function} ComponentClass - The component class
+     * @private
+     */
+    _prepareClassInstance(instance, ComponentClass) {
+        if (ComponentClass.contextType instanceof Context) instance.context = ComponentClass.contextType._read(instance);
+        if (instance.state == null) instance.state = {};
+        if (typeof ComponentClass.getDerivedStateFromProps !== 'function') {
+            const willMount = instance.UNSAFE_componentWillMount || instance.componentWillMount;
+            if (typeof willMount === 'function') willMount.call(instance);
+        }
+        instance._commitState();
+    }
+    /**
+     * Renders a DOM element and its children.
+     * 
+     * @param {VirtualElement} element - The DOM element
+     * @returns {string} The HTML
+     * @private
+     */
+    _renderHost(element) {
+        const type = element.type;
+        const props = element.props || {};
+        const attributes = Object.entries(this._getHostAttributes(element))
+            .filter(([name]) => ValidAttributeName.test(name))
+            .map(([name, value]) => value === '' ? ` ${name}` : ` ${name}="${escapeHTML(value)}"`).join('');
+        this.lastWasText = false;
+        if (VoidElements.has(type)) return `<${type}${attributes}/>`;
+        let children;
+        const innerHTML = ReconciliationManager.getInnerHTML(element);
+        if (innerHTML != null) {
+            children = innerHTML;
+        } else if (type === 'textarea') {
+            const value = props.value != null ? props.value : props.defaultValue;
+            children = escapeHTML(value != null ? String(value) : getTextContent(element.children));
+        } else if (RawTextElements.has(type)) {
+            children = escapeRawText(type, getTextContent(element.children));
+        } else {
+            const previousSelect = this.selectValue;
+            if (type === 'select') this.selectValue = props.value != null ? props.value : props.defaultValue;
+            children = this.render(element.children);
+            this.selectValue = previousSelect;
+        }
+        this.lastWasText = false;
+        return `<${type}${attributes}>${children}</${type}>`;
+    }
+    /**
+     * Returns the attributes a DOM element is serialized with: props are mapped through the
+     * property-info table, event handlers are dropped, style objects are written as CSS, and
+     * form values become the attributes that set their initial state.
+     * 
+     * @param {VirtualElement} element - The DOM element
+     * @returns {Object<string, string>} Attribute values by attribute name
+     * @private
+     */
+    _getHostAttributes(element) {
+        const { type, props } = element;
+        const attributes = {};
+        for (let [key, value] of Object.entries(props)) {
+            if (ReservedProps.has(key) || /^on[A-Z]/.test(key)) continue;
+            if (type === 'select' && (key === 'value' || key === 'defaultValue')) continue;
+            if (type === 'textarea' && (key === 'value' || key === 'defaultValue')) continue;
+            if (key === 'style' && value && typeof value === 'object') {
+                const css = serializeStyle(value);
+                if (css) attributes.style = css;
+                continue;
+            }
+            if (key === 'defaultValue' || key === 'defaultChecked') {
+                key = key === 'defaultValue' ? 'value' : 'checked';
+                if (props[key] != null) continue;
+            }
+            const attributeValue = getAttributeValue(key, value);
+            if (attributeValue === null) continue;
+            const namespaced = getAttributeNamespace(key);
+            attributes[namespaced ? namespaced.name : getPropertyInfo(key).attributeName] = attributeValue;
+        }
+        if (type === 'option' && this.selectValue != null) {
+            const value = props.value != null ? String(props.value) : getTextContent(element.children);
+            const selected = Array.isArray(this.selectValue) ? this.selectValue.map(String) : [String(this.selectValue)];
+            if (selected.includes(value)) attributes.selected = '';
+        }
+        return attributes;
+    }
+    /**
+     * Renders a Suspense boundary. If its content suspends, the fallback is rendered instead and,
+     * when streaming, the boundary is queued to be completed once the promise settles.
      * 
-     * @param {Array} children - Child elements
-     * @param {Element} container - The container element to render to
-     * @returns {VirtualElement} The created portal element
+     * @param {VirtualElement} element - The Suspense element
+     * @returns {string} The HTML
+     * @private
      */
-    createPortal(children, container) {
+    _renderSuspense(element) {
+        const props = element.props || {};
+        const children = element.children.length > 0 ? element.children : props.children;
         try {
-            const portalElement = new VirtualElement(Symbol.for('littedom.portal'), {});
-            portalElement.children = Array.isArray(children) ? children : [children];
-            portalElement.containerInfo = container;
-            return portalElement;
+            return this._renderMarker('$', true) + this._renderBoundaryContent(children) + this._renderMarker('/$', true);
         } catch (error) {
-            ErrorSystem.handleError(
-                new RenderException(`Error creating portal: ${error.message}`,
-                    { context: { children, container, error } })
-            );
-            return new VirtualElement(Symbol.for('littedom.fragment'), {}, []);
+            if (!isThenable(error)) throw error;
+            let start = this._renderMarker('$!', true);
+            if (this.streaming) {
+                const id = this.boundaryCount++;
+                this.pendingBoundaries.push({ id, children, owner: this.owner, treeId: this.treeId, promise: error });
+                start = this._renderMarker('$?') + `<template id="B:${id}"></template>`;
+            } else {
+                // Nothing waits on the promise any more; a later rejection must not go unhandled
+                error.then(() => {}, () => {});
+            }
+            const fallback = this.render(props.fallback || createElement('div', {}, ['Loading...']));
+            return start + fallback + this._renderMarker('/$', true);
         }
     }
-}
-/**
- * SuspenseComponent handles suspended rendering for asynchronous operations.
- * Similar to React.Suspense.
- * 
- * @class
- * @extends Component
- * @private
- */
-class SuspenseComponent extends Component {
     /**
-     * Creates a new SuspenseComponent.
+     * Renders the content of a Suspense boundary, which the client renders as a fragment when
+     * there are several children.
      * 
-     * @param {Object} props - Component props
+     * @param {*} children - The children of the boundary
+     * @returns {string} The HTML
+     * @throws {Promise} If the content suspends
+     * @private
      */
-    constructor(props) {
-        super(props);
-        this.state = { suspended: false, promise: null };
+    _renderBoundaryContent(children) {
+        return Array.isArray(children) ? this._renderFragment(children) : this.render(children);
     }
     /**
-     * Static method to derive state from an error.
+     * Retries a suspended boundary and returns the chunk that swaps its content into place.
      * 
-     * @param {Error|Promise} error - The error or promise that was thrown
-     * @returns {Object|null} New state if the error is a Promise, otherwise null
+     * @param {Object} boundary - The pending boundary ({ id, children, owner, treeId, promise })
+     * @returns {string} The HTML chunk
+     * @throws {Promise} If the content suspends again
      */
-    static getDerivedStateFromError(error) {
-        if (error instanceof Promise) {
-            return { suspended: true, promise: error };
+    completeBoundary(boundary) {
+        this.lastWasText = false;
+        this.owner = boundary.owner;
+        this.treeId = boundary.treeId;
+        let html;
+        try {
+            html = this._renderBoundaryContent(boundary.children);
+        } finally {
+            this.owner = null;
+            this.treeId = '0';
         }
-        throw error;
+        let script = '';
+        if (!this._swapScriptEmitted) {
+            this._swapScriptEmitted = true;
+            script = SUSPENSE_SWAP_SCRIPT;
+        }
+        return `<div hidden id="S:${boundary.id}">${html}</div>` +
+            `<script>${script}$LS("B:${boundary.id}","S:${boundary.id}")</script>`;
     }
     /**
-     * Catches promises and resumes rendering when they resolve.
+     * Returns the chunk that gives up on a streamed boundary whose content failed: its marker
+     * becomes `<!--$!-->`, as for a boundary rendered with its fallback, so the client renders it.
      * 
-     * @param {Error|Promise} error - The error or promise that was thrown
-     * @param {Object} errorInfo - Information about the error
-     * @returns {boolean} True if the error was handled (is a Promise)
+     * @param {Object} boundary - The pending boundary ({ id, children, owner, treeId, promise })
+     * @returns {string} The HTML chunk
      */
-    componentDidCatch(error, errorInfo) {
-        if (error instanceof Promise) {
-            error.then(() => {
-                this.setState({ suspended: false, promise: null });
-            }).catch(error => {
-                ErrorSystem.handleError(
-                    new Exception(`Error in suspended component: ${error.message}`,
-                        { context: { error, errorInfo } })
-                );
-            });
-            return true;
+    failBoundary(boundary) {
+        let script = '';
+        if (!this._failScriptEmitted) {
+            this._failScriptEmitted = true;
+            script = SUSPENSE_FAIL_SCRIPT;
         }
-        return false;
+        return `<script>${script}$LX("B:${boundary.id}")</script>`;
     }
     /**
-     * Renders either the fallback UI or children depending on suspension state.
+     * Reports a rendering error through the error system and the onError option.
      * 
-     * @returns {VirtualElement} The rendered UI
+     * @param {Error} error - The error
+     * @param {VirtualElement} [element] - The element that failed
+     * @private
      */
-    render() {
-        if (this.state.suspended) {
-            return this.props.fallback || createElement('div', {}, ['Loading...']);
-        }
-        return this.props.children;
+    _reportError(error, element) {
+        if (typeof this.onError === 'function') this.onError(error);
+        ErrorSystem.handleError(error instanceof Exception ? error :
+            new RenderException(`SSR Error: ${error.message}`, { context: { element, error } }));
     }
 }
+/**
+ * Inline script defining $LS(boundaryId, segmentId), which replaces the fallback of a streamed
+ * Suspense boundary with its resolved content.
+ * 
+ * @type {string}
+ * @private
+ */
+const SUSPENSE_SWAP_SCRIPT = 'function $LS(b,s){var t=document.getElementById(b),c=document.getElementById(s);' +
+    'if(!t||!c)return;var p=t.parentNode,m=t.previousSibling,n=t.nextSibling,d=0;p.removeChild(t);' +
+    'while(n){var x=n.nextSibling;if(n.nodeType===8){if(n.data==="/$"){if(d===0)break;d--}' +
+    'else if(n.data.charAt(0)==="$")d++}p.removeChild(n);n=x}' +
+    'while(c.firstChild)p.insertBefore(c.firstChild,n);c.parentNode.removeChild(c);' +
+    'if(m&&m.nodeType===8)m.data="$"}';
+/**
+ * Inline script defining $LX(boundaryId), which marks a streamed Suspense boundary whose content
+ * failed on the server as rendered with its fallback.
+ * 
+ * @type {string}
+ * @private
+ */
+const SUSPENSE_FAIL_SCRIPT = 'function $LX(b){var t=document.getElementById(b);if(!t)return;' +
+    'var m=t.previousSibling;t.parentNode.removeChild(t);if(m&&m.nodeType===8)m.data="$!"}';
 /**
  * LitteDOMAPI is the main public API for LitteDOM.
  * 
@@ -2068,8 +4520,8 @@ class LitteDOMAPI {
      * @returns {Node} The rendered DOM node
      */
     render(element, container) {
-        if (!EventSystem._initialized) EventSystem.init();
         try {
+            EventSystem.listenToRoot(container);
             if (!(element instanceof VirtualElement)) {
                 element = this.factory.createElement(element, {}, []);
             }
@@ -2101,16 +4553,15 @@ class LitteDOMAPI {
         }
     }
     /**
-     * Unmounts a component from a container.
+     * Unmounts a component from a container and removes the event listeners of the container.
      * 
      * @param {Element} container - The container element
      * @returns {boolean} True if a component was unmounted
      */
     unmountComponentAtNode(container) {
         try {
-            if (container._rootDOMNode) {
-                ReconciliationManager._unmountComponentAtNode(container._rootDOMNode);
-                container.innerHTML = '';
+            EventSystem.removeRootListeners(container);
+            if (ReconciliationManager.unmountRoot(container)) {
                 container._rootDOMNode = null;
                 return true;
             }
@@ -2140,6 +4591,25 @@ class LitteDOMAPI {
             return null;
         }
     }
+    /**
+     * Sets a global sanitizer that every dangerouslySetInnerHTML injection passes through,
+     * both when rendering to the DOM and in renderToString.
+     * 
+     * @param {Function|null} sanitizer - Function (html) => safeHtml, or null to remove it
+     * @throws {ValidationException} If the sanitizer is not a function or null
+     */
+    setHTMLSanitizer(sanitizer) {
+        ReconciliationManager.setHTMLSanitizer(sanitizer);
+    }
+    /**
+     * Returns how many DOM nodes the last committed render inserted, moved and removed.
+     * Useful to check in tests that an update touched no more of the DOM than needed.
+     * 
+     * @returns {Object} The operation counts ({ insertions, moves, removals })
+     */
+    getLastCommitOperations() {
+        return ReconciliationManager.getLastCommitOperations();
+    }
     /**
      * Creates a portal (children rendered to a different part of the DOM).
      * 
@@ -2149,9 +4619,7 @@ class LitteDOMAPI {
      */
     createPortal(children, container) {
         try {
-            const portalElement = this.factory.createPortal(children, container);
-            ReconciliationManager.mount(children, container);
-            return portalElement;
+            return this.factory.createPortal(children, container);
         } catch (error) {
             this._errorSystem.handleError(new RenderException(
                 `Error creating portal: ${error.message}`,
@@ -2162,11 +4630,15 @@ class LitteDOMAPI {
     }
     /**
      * Creates a root for concurrent mode rendering.
+     * Renders into the root are time-sliced: the tree is reconciled in small units of work that yield
+     * back to the browser, and the DOM is only updated once the whole tree has been reconciled.
      * 
      * @param {string|Element} container - Container element or ID
+     * @param {Object} [options] - Root options
+     * @param {string} [options.identifierPrefix] - Prefix of the ids generated by useId, to keep them apart from other roots
      * @returns {Object} Object with render and unmount methods
      */
-    createRoot(container = 'root') {
+    createRoot(container = 'root', options = {}) {
         try {
             if (typeof container === 'string') {
                 const id = container.id || container;
@@ -2174,8 +4646,14 @@ class LitteDOMAPI {
                 if (!container.id) container.id = id;
                 if (!container.parentNode) document.body.appendChild(container);
             }
+            const root = ReconciliationManager.createRoot(container, 'concurrent');
+            if (options.identifierPrefix != null) root.identifierPrefix = String(options.identifierPrefix);
             return {
-                render: (element) => this.render(element, container),
+                render: (element) => {
+                    EventSystem.listenToRoot(container);
+                    if (!(element instanceof VirtualElement)) element = this.factory.createElement(element, {}, []);
+                    ReconciliationManager.updateContainer(element, root);
+                },
                 unmount: () => this.unmountComponentAtNode(container)
             };
         } catch (error) {
@@ -2186,6 +4664,32 @@ class LitteDOMAPI {
             return { render: () => { }, unmount: () => false };
         }
     }
+    /**
+     * Hydrates server-rendered markup: instead of rebuilding the container, the existing DOM is
+     * adopted by the element's tree, event handlers are attached and effects and componentDidMount run.
+     * Mismatches are reported through the error system and only the mismatched subtrees are rendered again.
+     * 
+     * @param {string|Element} container - Container element or ID holding the server-rendered markup
+     * @param {VirtualElement} element - The element that was rendered on the server
+     * @param {Object} [options] - Root options, like createRoot; identifierPrefix must match the one used on the server
+     * @returns {Object} Object with render and unmount methods, like createRoot
+     */
+    hydrateRoot(container, element, options = {}) {
+        try {
+            if (typeof container === 'string') container = document.getElementById(container);
+            if (!container) throw new DOMException('hydrateRoot requires an existing container with server-rendered markup');
+            ReconciliationManager.createRoot(container, 'concurrent').hydrate = true;
+            const root = this.createRoot(container, options);
+            root.render(element);
+            return root;
+        } catch (error) {
+            this._errorSystem.handleError(
+                error instanceof Exception ? error : new Exception(`Error hydrating root: ${error.message}`,
+                    { context: { container, error } })
+            );
+            return { render: () => { }, unmount: () => false };
+        }
+    }
     /**
      * StrictMode component for highlighting potential problems in development.
      * In this implementation, it simply renders its children.
@@ -2204,18 +4708,332 @@ class LitteDOMAPI {
      * @returns {Function} The memoized component
      */
     memo(Component, areEqual) {
-        function MemoComponent(props) {
-            const ref = Hooks.useRef({ props: null, result: null });
-            if (!ref.current.props || !arePropsEqual(ref.current.props, props, areEqual)) {
-                ref.current.props = { ...props };
-                ref.current.result = createElement(Component, props);
+        function MemoComponent(props, ref) {
+            const cache = Hooks.useRef({ props: null, ref: null, result: null });
+            if (!cache.current.props || cache.current.ref !== ref || !arePropsEqual(cache.current.props, props, areEqual)) {
+                cache.current.props = { ...props };
+                cache.current.ref = ref;
+                cache.current.result = createElement(Component, ref ? { ...props, ref } : props);
             }
-            return ref.current.result;
+            return cache.current.result;
         }
+        MemoComponent._forwardsRef = true;
         MemoComponent.displayName = `Memo(${Component.displayName || Component.name || 'Component'})`;
         return MemoComponent;
     }
 }
+/**
+ * Checks if a component type is a class component.
+ * 
+ * @param {Function} type - The component type
+ * @returns {boolean} True if the type extends Component
+ * @private
+ */
+function isClassComponent(type) {
+    return typeof type === 'function' && !!type.prototype &&
+        (!!type.prototype.isComponent || type.prototype instanceof Component);
+}
+/**
+ * Returns the tree id of the element a component rendered. The tree id is the component's
+ * position in the tree: the index of every element along the path that has siblings. A component
+ * that called useId adds a level of its own, so no descendant gets the same position.
+ * 
+ * @param {Component|Object} instance - The component instance
+ * @returns {string} The tree id
+ * @private
+ */
+function getOutputTreeId(instance) {
+    return instance._usesId ? `${instance._treeId}-0` : instance._treeId;
+}
+/**
+ * Returns the props a component element renders with: its props with children added, and
+ * without ref, which the reconciler handles itself.
+ * 
+ * @param {VirtualElement} element - The component element
+ * @returns {Object} The props
+ * @private
+ */
+function getComponentProps(element) {
+    const { ref, ...props } = element.props;
+    if (element.children.length > 0) props.children = element.children;
+    return props;
+}
+/**
+ * Returns the namespace a new element must be created in: svg and math elements start their own
+ * namespace, other elements inherit the one of their parent, except inside foreignObject, whose
+ * children are HTML again.
+ * 
+ * @param {string} type - The tag name
+ * @param {Node} [parentDom] - The DOM node the element is rendered into
+ * @returns {string} The namespace URI
+ * @private
+ */
+function getElementNamespace(type, parentDom) {
+    if (type === 'svg') return Namespace.SVG;
+    if (type === 'math') return Namespace.MathML;
+    const parentNamespace = parentDom && parentDom.namespaceURI;
+    if (parentNamespace === Namespace.SVG && parentDom.localName !== 'foreignObject') return Namespace.SVG;
+    if (parentNamespace === Namespace.MathML) return Namespace.MathML;
+    return Namespace.HTML;
+}
+/**
+ * Returns the qualified name and namespace of a namespaced attribute. Both the XML spelling
+ * (xlink:href, xml:lang) and the camel-cased prop spelling (xlinkHref, xmlLang) are accepted.
+ * 
+ * @param {string} name - The prop name
+ * @returns {Object|null} The attribute ({ name, namespace }), or null if it is not namespaced
+ * @private
+ */
+function getAttributeNamespace(name) {
+    const match = /^(xlink|xmlns|xml)(?::|(?=[A-Z]))(.+)$/.exec(name);
+    if (!match) return null;
+    const [, prefix, localName] = match;
+    return { name: `${prefix}:${localName.charAt(0).toLowerCase()}${localName.slice(1)}`, namespace: AttributeNamespaces[prefix] };
+}
+/**
+ * Sets an attribute on a DOM element, using setAttributeNS for namespaced attributes.
+ * 
+ * @param {Element} element - The DOM element
+ * @param {string} name - The prop name
+ * @param {*} value - The attribute value
+ * @private
+ */
+function setDOMAttribute(element, name, value) {
+    const attribute = getAttributeNamespace(name);
+    if (attribute) element.setAttributeNS(attribute.namespace, attribute.name, value);
+    else element.setAttribute(name, value);
+}
+/**
+ * Reads an attribute of a DOM element, using getAttributeNS for namespaced attributes.
+ * 
+ * @param {Element} element - The DOM element
+ * @param {string} name - The attribute name
+ * @returns {string|null} The attribute value, or null if it is absent
+ * @private
+ */
+function getDOMAttribute(element, name) {
+    const attribute = getAttributeNamespace(name);
+    if (!attribute) return element.getAttribute(name);
+    return element.getAttributeNS(attribute.namespace, attribute.name.slice(attribute.name.indexOf(':') + 1));
+}
+/**
+ * Removes an attribute from a DOM element, using removeAttributeNS for namespaced attributes.
+ * 
+ * @param {Element} element - The DOM element
+ * @param {string} name - The prop name
+ * @private
+ */
+function removeDOMAttribute(element, name) {
+    const attribute = getAttributeNamespace(name);
+    if (attribute) element.removeAttributeNS(attribute.namespace, attribute.name.slice(attribute.name.indexOf(':') + 1));
+    else element.removeAttribute(name);
+}
+/**
+ * Returns the property info of a prop: the entry of the property-info table, or an attribute
+ * under the prop's own name for unknown props (data-*, aria-* and custom attributes).
+ * 
+ * @param {string} name - The prop name
+ * @returns {Object} The property info ({ attributeName, propertyName, type })
+ * @private
+ */
+function getPropertyInfo(name) {
+    return Object.hasOwnProperty.call(PropertyInfos, name)
+        ? PropertyInfos[name]
+        : { attributeName: name, propertyName: name, type: null };
+}
+/**
+ * Returns the event an event prop handles: the entry of the event registry for its name, and
+ * whether it is a capture-phase handler (onClickCapture). onGotPointerCapture and
+ * onLostPointerCapture are bubble-phase handlers of their own events.
+ * 
+ * @param {string} propName - The prop name, such as 'onDoubleClick'
+ * @returns {Object|null} The event ({ type, bubbles, dependencies, capture }), or null if the prop is not a known event
+ * @private
+ */
+function getEventInfo(propName) {
+    const name = propName.slice(2);
+    if (Object.hasOwnProperty.call(EventRegistry, name)) return { ...EventRegistry[name], capture: false };
+    const bubbleName = name.endsWith('Capture') ? name.slice(0, -'Capture'.length) : null;
+    if (bubbleName && Object.hasOwnProperty.call(EventRegistry, bubbleName)) return { ...EventRegistry[bubbleName], capture: true };
+    return null;
+}
+/**
+ * Returns whether a modifier key was pressed during an event, using getModifierState when the
+ * browser supports it and the altKey/ctrlKey/metaKey/shiftKey properties otherwise.
+ * 
+ * @param {Event} nativeEvent - The native event
+ * @param {string} key - The modifier key ('Alt', 'Control', 'Meta', 'Shift', 'CapsLock'...)
+ * @returns {boolean} True if the modifier was active
+ * @private
+ */
+function readModifierState(nativeEvent, key) {
+    if (typeof nativeEvent.getModifierState === 'function') return nativeEvent.getModifierState(key);
+    const property = ModifierKeyProperties[key];
+    return property ? !!nativeEvent[property] : false;
+}
+/**
+ * Writes a prop to a DOM element as a property or an attribute, according to the property-info table.
+ * null and undefined remove the attribute (or reset the property). The value of a select is
+ * applied by updateFormControl, once its options exist.
+ * 
+ * @param {Element} element - The DOM element
+ * @param {string} name - The prop name
+ * @param {*} value - The prop value
+ * @private
+ */
+function setDOMProperty(element, name, value) {
+    if (element.localName === 'select' && (name === 'value' || name === 'defaultValue')) return;
+    const { attributeName, propertyName, type } = getPropertyInfo(name);
+    if (type === PropertyType.Property && propertyName in element) {
+        const nextValue = value == null ? (propertyName === 'value' ? '' : false) : value;
+        const isSame = propertyName === 'value' ? element.value === String(nextValue) : element[propertyName] === nextValue;
+        if (!isSame) element[propertyName] = nextValue;
+        return;
+    }
+    const attributeValue = getAttributeValue(name, value);
+    if (attributeValue === null) removeDOMAttribute(element, attributeName);
+    else setDOMAttribute(element, attributeName, attributeValue);
+}
+/**
+ * Returns the string a prop is written as when it is an attribute, according to the property-info table.
+ * 
+ * @param {string} name - The prop name
+ * @param {*} value - The prop value
+ * @returns {string|null} The attribute value, or null if the attribute must be absent
+ * @private
+ */
+function getAttributeValue(name, value) {
+    const { type } = getPropertyInfo(name);
+    if (value == null || typeof value === 'function' || typeof value === 'symbol' ||
+        (value === false && type !== PropertyType.BooleanishString && !/^(data|aria)-/.test(name)) ||
+        (type === PropertyType.Boolean && !value)) {
+        return null;
+    }
+    const isFlag = value === true && (type === PropertyType.Boolean || type === PropertyType.OverloadedBoolean ||
+        type === PropertyType.Property || (type === null && !/^(data|aria)-/.test(name)));
+    return isFlag ? '' : String(value);
+}
+/**
+ * Checks if a node is a text field, whose onChange fires on every input event.
+ * 
+ * @param {Node} node - The node
+ * @returns {boolean} True for textareas and text-like inputs
+ * @private
+ */
+function isTextControl(node) {
+    if (!node) return false;
+    if (node.localName === 'textarea') return true;
+    return node.localName === 'input' &&
+        !['checkbox', 'radio', 'file', 'submit', 'button', 'reset', 'image', 'range', 'color'].includes(node.type);
+}
+/**
+ * Brings the live state of a form element in line with its props: the value of inputs and
+ * textareas, the checked state of checkboxes and radios, and the selected options of a select
+ * (an array of values when it is multiple). defaultValue is only applied to a select on mount.
+ * 
+ * @param {Element} element - The form element
+ * @param {Object} props - The element props
+ * @param {boolean} isMount - Whether the element was just created
+ * @private
+ */
+function updateFormControl(element, props, isMount) {
+    if (element.localName === 'select') {
+        const value = props.value != null ? props.value : (isMount ? props.defaultValue : null);
+        if (value == null) return;
+        const selected = new Set((element.multiple && Array.isArray(value) ? value : [value]).map(String));
+        let found = false;
+        for (const option of element.options) {
+            const isSelected = selected.has(option.value) && (element.multiple || !found);
+            if (option.selected !== isSelected) option.selected = isSelected;
+            found = found || isSelected;
+        }
+        return;
+    }
+    if (props.checked != null && element.checked !== !!props.checked) element.checked = !!props.checked;
+    if (props.value != null && element.value !== String(props.value)) element.value = String(props.value);
+}
+/**
+ * Checks if a value is a promise-like object, as thrown by components that suspend.
+ * 
+ * @param {*} value - The value
+ * @returns {boolean} True if the value has a then method
+ * @private
+ */
+function isThenable(value) {
+    return value != null && typeof value === 'object' && typeof value.then === 'function';
+}
+/**
+ * Escapes text for use in HTML markup, as element content or as a quoted attribute value.
+ * 
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ * @private
+ */
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+/**
+ * Neutralizes the sequences that would end a raw-text element early or open a comment
+ * inside it (`</script`, `</style` and `<!--`, in any case). The `<` is written as a
+ * JavaScript escape in scripts and a CSS escape in styles, which both read back as `<`.
+ * Raw markup is left to dangerouslySetInnerHTML.
+ * 
+ * @param {string} type - The element type, 'script' or 'style'
+ * @param {string} text - The text content
+ * @returns {string} The text, safe to write inside the element
+ * @private
+ */
+function escapeRawText(type, text) {
+    const replacement = type === 'script' ? '\\u003C' : '\\3C ';
+    return text.replace(/<(?=\/(?:script|style)|!--)/gi, replacement);
+}
+/**
+ * Concatenates the text of a list of children, as rendered inside raw-text elements.
+ * 
+ * @param {Array} children - The children
+ * @returns {string} The text
+ * @private
+ */
+function getTextContent(children) {
+    return [].concat(children).map(child => {
+        if (child == null || typeof child === 'boolean') return '';
+        if (child instanceof TextElement) return child.value;
+        if (Array.isArray(child)) return getTextContent(child);
+        if (child instanceof VirtualElement) return getTextContent(child.children);
+        return String(child);
+    }).join('');
+}
+/**
+ * Returns the CSS value of a style property. Numbers get a px unit, except for unitless
+ * properties and custom properties.
+ * 
+ * @param {string} name - The style property name (camelCase or custom property)
+ * @param {*} value - The style value
+ * @returns {string} The CSS value, empty to leave the property unset
+ * @private
+ */
+function getStyleValue(name, value) {
+    if (value == null || typeof value === 'boolean' || value === '') return '';
+    if (typeof value === 'number' && value !== 0 && !name.startsWith('--') && !UnitlessStyleProperties.has(name)) {
+        return `${value}px`;
+    }
+    return String(value).trim();
+}
+/**
+ * Serializes a style object to a CSS declaration list.
+ * 
+ * @param {Object} style - The style object
+ * @returns {string} The CSS text
+ * @private
+ */
+function serializeStyle(style) {
+    return Object.entries(style).map(([name, value]) => {
+        const cssValue = getStyleValue(name, value);
+        if (!cssValue) return '';
+        const cssName = name.startsWith('--') ? name : name.replace(/([A-Z])/g, '-$1').toLowerCase().replace(/^ms-/, '-ms-');
+        return `${cssName}:${cssValue}`;
+    }).filter(Boolean).join(';');
+}
 /**
  * Compares props for the memo component.
  * 
@@ -2315,12 +5133,19 @@ ReconciliationManager.registerRenderErrorHandler((error, info) => {
 // Export hooks
 export const useState = Hooks.useState;
 export const useEffect = Hooks.useEffect;
+export const useLayoutEffect = Hooks.useLayoutEffect;
+export const useInsertionEffect = Hooks.useInsertionEffect;
+export const useImperativeHandle = Hooks.useImperativeHandle;
 export const useReducer = Hooks.useReducer;
 export const useRef = Hooks.useRef;
 export const useMemo = Hooks.useMemo;
 export const useCallback = Hooks.useCallback;
 export const useContext = Hooks.useContext;
 export const useErrorBoundary = Hooks.useErrorBoundary;
+export const useTransition = Hooks.useTransition;
+export const useDeferredValue = Hooks.useDeferredValue;
+export const useId = Hooks.useId;
+export const useSyncExternalStore = Hooks.useSyncExternalStore;
 export const Fragment = Symbol.for('littedom.fragment');
 
 /**
@@ -2355,16 +5180,25 @@ export function createContext(defaultValue) {
     return new Context(defaultValue);
 }
 /**
- * Forwards refs to child components.
+ * Creates a component object holding a ref, whose value is set in its current property.
+ * 
+ * @returns {Object} A ref object with a 'current' property, initially null
+ */
+export function createRef() {
+    return Object.seal({ current: null });
+}
+/**
+ * Forwards refs to child components: the ref given to the returned component is passed to
+ * the render function as its second argument.
  * 
  * @param {Function} render - Render function that receives props and ref
  * @returns {Function} A component that forwards refs
  */
 export function forwardRef(render) {
-    function ForwardRefComponent(props) {
-        const { forwardedRef, ...restProps } = props;
-        return render(restProps, forwardedRef);
+    function ForwardRefComponent(props, ref) {
+        return render(props, ref === undefined ? null : ref);
     }
+    ForwardRefComponent._forwardsRef = true;
     ForwardRefComponent.displayName = `ForwardRef(${render.name || 'Component'})`;
     return ForwardRefComponent;
 }
@@ -2423,59 +5257,162 @@ export function StrictMode(props) {
  * @returns {VirtualElement} Suspense component instance
  */
 export const Suspense = (props) => createElement(SuspenseComponent, props);
+/**
+ * Marks the state updates scheduled inside a callback as a transition: they are rendered
+ * with low priority and interrupted by any urgent update, such as typing in an input.
+ * 
+ * @param {Function} scope - Function that schedules the updates
+ */
+export function startTransition(scope) {
+    ReconciliationManager.runWithPriority(UpdatePriority.Transition, scope);
+}
 /**
  * Renders a virtual element to a string. Useful for server-side rendering.
+ * The output includes the markers hydrateRoot uses to adopt it (text separators, fragment
+ * and Suspense boundaries).
  * 
  * @param {VirtualElement} element - The element to render
+ * @param {Object} [options] - Render options
+ * @param {string} [options.identifierPrefix] - Prefix of the ids generated by useId, as passed to hydrateRoot
  * @returns {string} The rendered HTML string
  */
-export function renderToString(element) {
-    try {
-        if (typeof element === 'string' || typeof element === 'number') {
-            return String(element);
-        }
-        if (!element || !element.type) {
-            return '';
-        }
-        if (typeof element.type === 'function') {
-            const Component = element.type;
-            const props = element.props || {};
-            if (Component.prototype && (Component.prototype.isComponent || Component.prototype instanceof Component)) {
-                const instance = new Component(props);
-                const renderedElement = instance.render();
-                return renderToString(renderedElement);
-            } else {
-                const renderedElement = Component(props);
-                return renderToString(renderedElement);
-            }
-        }
-        if (element.type === Symbol.for('littedom.fragment')) {
-            return (element.children || []).map(renderToString).join('');
-        }
-        const attributes = [];
-        for (const [key, value] of Object.entries(element.props || {})) {
-            if (key === 'children' || key === 'key' || key === 'ref') continue;
-            if (key === 'className') {
-                attributes.push(`class="${value}"`);
-            } else if (key === 'style' && typeof value === 'object') {
-                const styles = Object.entries(value).map(([k, v]) => `${k.replace(/([A-Z])/g, '-$1').toLowerCase()}:${v}`).join(';');
-                attributes.push(`style="${styles}"`);
-            } else if (typeof value === 'boolean') {
-                if (value) attributes.push(key);
-            } else {
-                attributes.push(`${key}="${value}"`);
-            }
+export function renderToString(element, options = {}) {
+    return new ServerRenderer({ identifierPrefix: options.identifierPrefix }).renderShell(element);
+}
+/**
+ * Renders an element to plain HTML, without the markers needed to hydrate it.
+ * Useful for static pages and emails.
+ * 
+ * @param {VirtualElement} element - The element to render
+ * @param {Object} [options] - Render options
+ * @param {string} [options.identifierPrefix] - Prefix of the ids generated by useId
+ * @returns {string} The HTML
+ */
+export function renderToStaticMarkup(element, options = {}) {
+    return new ServerRenderer({ markers: false, identifierPrefix: options.identifierPrefix }).renderShell(element);
+}
+/**
+ * Renders an element to a web ReadableStream of HTML. The shell, with Suspense fallbacks for the
+ * boundaries that are still loading, is sent right away; the content of each boundary follows
+ * when the promise it suspended on resolves.
+ * 
+ * @param {VirtualElement} element - The element to render
+ * @param {Object} [options] - Stream options
+ * @param {Function} [options.onError] - Called with errors thrown while rendering
+ * @param {Function} [options.onAllReady] - Called when every boundary has been streamed
+ * @param {string} [options.identifierPrefix] - Prefix of the ids generated by useId
+ * @returns {Promise<ReadableStream>} The stream, once the shell has been rendered
+ */
+export async function renderToReadableStream(element, options = {}) {
+    const encoder = new TextEncoder();
+    let controller;
+    let session = null;
+    const stream = new ReadableStream({
+        start(streamController) { controller = streamController; },
+        cancel() {
+            controller = null;
+            if (session) session.abort();
         }
-        const attributeString = attributes.length ? ' ' + attributes.join(' ') : '';
-        if (element.type === 'img' || element.type === 'input' || element.type === 'br' || element.type === 'hr') {
-            return `<${element.type}${attributeString}/>`;
+    });
+    await new Promise(resolve => {
+        session = streamHTML(element, {
+            write: chunk => controller && controller.enqueue(encoder.encode(chunk)),
+            close: () => controller && controller.close()
+        }, { ...options, onShellReady: resolve });
+    });
+    return stream;
+}
+/**
+ * Renders an element to HTML for Node.js writable streams (such as an http.ServerResponse).
+ * Like renderToReadableStream, the shell is written first and Suspense boundaries follow as they resolve.
+ * 
+ * @param {VirtualElement} element - The element to render
+ * @param {Object} [options] - Stream options
+ * @param {Function} [options.onShellReady] - Called when the shell has been rendered, usually to call pipe
+ * @param {Function} [options.onAllReady] - Called when every boundary has been streamed
+ * @param {Function} [options.onError] - Called with errors thrown while rendering
+ * @param {string} [options.identifierPrefix] - Prefix of the ids generated by useId
+ * @returns {Object} Object with pipe(writable) and abort() methods
+ */
+export function renderToPipeableStream(element, options = {}) {
+    const buffered = [];
+    let destination = null;
+    let closed = false;
+    const session = streamHTML(element, {
+        write: chunk => destination ? destination.write(chunk) : buffered.push(chunk),
+        close: () => {
+            closed = true;
+            if (destination) destination.end();
         }
-        const children = (element.children || []).map(renderToString).join('');
-        return `<${element.type}${attributeString}>${children}</${element.type}>`;
-    } catch (error) {
-        ErrorSystem.handleError(new RenderException(`SSR Error: ${error.message}`, { context: { element, error } }));
-        return '<!-- Error rendering component -->';
-    }
+    }, options);
+    return {
+        pipe(writable) {
+            destination = writable;
+            for (const chunk of buffered.splice(0)) destination.write(chunk);
+            if (closed) destination.end();
+            return writable;
+        },
+        abort: () => session.abort()
+    };
+}
+/**
+ * Drives a streaming render: writes the shell on the next microtask, then every Suspense boundary
+ * as it completes, and closes the sink when nothing is pending any more.
+ * 
+ * @param {VirtualElement} element - The element to render
+ * @param {Object} sink - Destination of the HTML chunks ({ write, close })
+ * @param {Object} options - Stream options ({ onShellReady, onAllReady, onError })
+ * @returns {Object} The session, with an abort() method
+ * @private
+ */
+function streamHTML(element, sink, options) {
+    const renderer = new ServerRenderer({ streaming: true, onError: options.onError, identifierPrefix: options.identifierPrefix });
+    let inFlight = 0;
+    let aborted = false;
+    const finish = () => {
+        if (aborted || inFlight > 0) return;
+        aborted = true;
+        sink.close();
+        if (typeof options.onAllReady === 'function') options.onAllReady();
+    };
+    const waitFor = (boundary) => {
+        inFlight++;
+        Promise.resolve(boundary.promise).then(() => {
+            if (aborted) return;
+            try {
+                sink.write(renderer.completeBoundary(boundary));
+            } catch (error) {
+                if (isThenable(error)) {
+                    waitFor({ ...boundary, promise: error });
+                } else {
+                    renderer._reportError(error, null);
+                    sink.write(renderer.failBoundary(boundary));
+                }
+            }
+        }, error => {
+            if (aborted) return;
+            renderer._reportError(error instanceof Error ? error : new Error(String(error)), null);
+            sink.write(renderer.failBoundary(boundary));
+        }).finally(() => {
+            inFlight--;
+            for (const pending of renderer.pendingBoundaries.splice(0)) waitFor(pending);
+            finish();
+        });
+    };
+    queueMicrotask(() => {
+        if (aborted) return;
+        sink.write(renderer.renderShell(element));
+        if (typeof options.onShellReady === 'function') options.onShellReady();
+        for (const pending of renderer.pendingBoundaries.splice(0)) waitFor(pending);
+        finish();
+    });
+    return {
+        abort() {
+            if (aborted) return;
+            aborted = true;
+            sink.close();
+        }
+    };
 }
 
 // Default export for the main LitteDOM API